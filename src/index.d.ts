@@ -0,0 +1,594 @@
+// Type definitions for jsonata-extended
+// Project: https://github.com/martinholden-skillsoft/jsonata-extended
+
+/// <reference types="node" />
+
+import jsonata = require('jsonata');
+import moment = require('moment');
+import { Transform } from 'stream';
+
+/**
+ * Return a JSONata expression object that includes the custom functions registered
+ */
+declare function jsonataExtended(
+  expr: string,
+  options?: jsonataExtended.Options
+): jsonataExtended.Expression;
+
+declare namespace jsonataExtended {
+  // Re-export the JSONata types, so switching from jsonata does not lose them
+  type ExprNode = jsonata.ExprNode;
+  type JsonataError = jsonata.JsonataError;
+  type Environment = jsonata.Environment;
+  type Focus = jsonata.Focus;
+
+  /**
+   * A failure of an extended function recorded with the onInvalid option collect
+   */
+  interface Failure {
+    function: string;
+    value: any;
+    reason: string;
+    code: string;
+  }
+
+  /**
+   * A message key $t did not find in the messages tables
+   */
+  interface MissingMessage {
+    key: string;
+    /** The requested locale, or the locale default */
+    locale?: string;
+    /** The locales that were tried, in order */
+    locales: string[];
+  }
+
+  interface Expression extends jsonata.Expression {
+    /** The failures of the last evaluation, only with the onInvalid option collect */
+    failures?(): Failure[];
+    /** The message keys $t did not find in the last evaluation */
+    missingMessages(): MissingMessage[];
+  }
+
+  /**
+   * A translation table, the messages are ICU messages keyed by a flat key such as course.count
+   * or nested by the path
+   */
+  interface MessageTable {
+    [key: string]: string | MessageTable;
+  }
+
+  /**
+   * The error thrown by an extended function, code is X1000 to X1020, X1006 is a TypeError
+   */
+  interface FunctionError extends JsonataError {
+    /** The offending value */
+    value?: any;
+    /** The option key, for an option of the wrong type */
+    key?: string;
+    expected?: string;
+    type?: string;
+  }
+
+  /**
+   * The extended and plugin functions to register, an array is the list to include
+   */
+  type FunctionsOption =
+    | 'all'
+    | 'none'
+    | string[]
+    | {
+        include?: string[];
+        exclude?: string[];
+      };
+
+  /**
+   * Limits applied to each evaluation
+   */
+  interface Limits {
+    /** The maximum evaluation time in ms, exceeding it throws U1002 */
+    timeoutMs?: number;
+    /** The maximum evaluation stack depth, exceeding it throws U1001 */
+    maxDepth?: number;
+    /** The maximum size of the result serialised as JSON, exceeding it throws U1003 */
+    maxResultBytes?: number;
+  }
+
+  /**
+   * The defaults applied to every call of the extended functions in the expression
+   */
+  interface Defaults {
+    /** The default options for $truncate */
+    truncate?: TruncateOptions;
+    /** The default options for $htmltotext */
+    htmltotext?: HtmlToTextOptions;
+    /** The default base for the UUID functions, base36 if not set */
+    uuidBase?: UuidBase;
+    /** The default RFC5646 locale for the locale aware functions, and the preferred locale for $pickLocale */
+    locale?: string;
+    /** The default IANA time zone for $moment and the date/time functions, such as Europe/London */
+    timezone?: string;
+  }
+
+  interface Options {
+    /** Attempt to recover on parse error */
+    recover?: boolean;
+    /** RegEx class constructor to use */
+    RegexEngine?: RegExpConstructor;
+    /** The extended and plugin functions to register, defaults to 'all' */
+    functions?: FunctionsOption;
+    /** Limits applied to each evaluation */
+    limits?: Limits;
+    /** How the extended functions handle invalid input, defaults to 'throw' */
+    onInvalid?: 'throw' | 'undefined' | 'collect';
+    /** The defaults applied to every call of the extended functions */
+    defaults?: Defaults;
+    /** The fixed time for $now(), $millis() and $moment(), or a function that returns it */
+    clock?: number | string | Date | (() => number | string | Date);
+    /** The translation tables for $t keyed by RFC5646 locale, or a function that returns the table for a locale */
+    messages?: Record<string, MessageTable> | ((locale: string) => MessageTable | undefined);
+  }
+
+  interface StreamOptions extends Options {
+    /** The format of the input text, defaults to 'ndjson' */
+    format?: 'ndjson' | 'array';
+    /** The bindings passed to evaluate for each record */
+    bindings?: Record<string, any>;
+  }
+
+  /**
+   * The objects emitted by the transform stream, one for each record
+   */
+  interface StreamRecord {
+    index: number;
+    result?: any;
+    error?: Error;
+    failures?: Failure[];
+  }
+
+  interface ValidateOptions extends Options {
+    /** The names of the variables, or the bindings object, that will be passed to evaluate */
+    bindings?: string[] | Record<string, any>;
+  }
+
+  interface Diagnostic {
+    severity: 'error' | 'warning';
+    code: string;
+    message: string;
+    position?: number;
+    token?: string;
+    [key: string]: any;
+  }
+
+  interface CacheOptions {
+    /** The maximum number of expressions to cache, defaults to 100 */
+    maxSize?: number;
+  }
+
+  interface CacheStats {
+    hits: number;
+    misses: number;
+    evictions: number;
+    size: number;
+    maxSize: number;
+  }
+
+  interface Cache {
+    compile(expr: string, options?: Options): Expression;
+    stats(): CacheStats;
+    clear(): void;
+  }
+
+  type OptionType =
+    | 'string'
+    | 'number'
+    | 'boolean'
+    | 'null'
+    | 'object'
+    | 'array'
+    | 'function'
+    | 'any';
+
+  /**
+   * An option accepted in the options object argument of a function, the type or the type and
+   * description
+   */
+  type OptionSchema =
+    | OptionType
+    | OptionType[]
+    | {
+        type: OptionType | OptionType[];
+        default?: any;
+        description?: string;
+      };
+
+  interface FunctionExample {
+    expression: string;
+    result: any;
+  }
+
+  /**
+   * The metadata of a function, as returned by functions() and $help()
+   */
+  interface FunctionInfo {
+    name: string;
+    /** The function this is an alias of */
+    aliasOf?: string;
+    /** The other names the function is registered as */
+    aliases?: string[];
+    signature?: string;
+    description?: string;
+    options?: Record<string, OptionSchema>;
+    examples?: FunctionExample[];
+  }
+
+  interface PluginFunction extends FunctionInfo {
+    implementation: (this: Focus, ...args: any[]) => any;
+    /** Call the implementation for each item when the first argument is an array */
+    vectorise?: boolean;
+  }
+
+  interface Plugin {
+    name: string;
+    /** Prefix for the function names, the function foo in namespace acme is registered as $acme_foo */
+    namespace?: string;
+    functions: PluginFunction[];
+  }
+
+  interface PluginInfo {
+    name: string;
+    namespace?: string;
+    functions: string[];
+  }
+
+  type UuidBase =
+    | 'base2'
+    | 'base10'
+    | 'base16'
+    | 'base32'
+    | 'base36'
+    | 'base58'
+    | 'base62'
+    | 'base64'
+    | 'base64url';
+
+  interface TruncateOptions {
+    /** The maximum string length, defaults to 30 */
+    length?: number;
+    /** The string to indicate text is omitted, defaults to '...' */
+    omission?: string;
+    /** The wordbreak string to truncate to */
+    wordbreak?: string;
+    /** The string representation of the wordbreak regex to truncate to */
+    wordbreakregex?: string;
+    /** Truncate HTML, only the visible text is counted and the open tags are closed, defaults to false */
+    html?: boolean;
+  }
+
+  interface UnicodeToASCIIOptions {
+    /** The string to replace unknown UNICODE characters with, unknown characters are maintained if not set */
+    replacement?: string;
+  }
+
+  /**
+   * The options for $htmltotext, see https://www.npmjs.com/package/html-to-text
+   */
+  interface HtmlToTextOptions {
+    baseElement?: string | string[];
+    baseElements?: Record<string, any>;
+    decodeOptions?: {
+      isAttributeValue?: boolean;
+      strict?: boolean;
+    };
+    format?: Record<string, any>;
+    formatters?: Record<string, any>;
+    hideLinkHrefIfSameAsText?: boolean;
+    ignoreHref?: boolean;
+    ignoreImage?: boolean;
+    limits?: Record<string, any>;
+    linkHrefBaseUrl?: string | null;
+    longWordSplit?: {
+      wrapCharacters?: string[];
+      forceWrapOnLimit?: boolean;
+    };
+    noLinkBrackets?: boolean;
+    preserveNewlines?: boolean;
+    returnDomByDefault?: boolean;
+    selectors?: Record<string, any>[];
+    singleNewLineParagraphs?: boolean;
+    tables?: string[] | string | boolean;
+    tags?: Record<string, any>;
+    unorderedListItemPrefix?: string;
+    uppercaseHeadings?: boolean;
+    whitespaceCharacters?: string;
+    wordwrap?: number | boolean | null;
+  }
+
+  interface CountryInfo {
+    name: string;
+    native: string;
+    phone: string;
+    continent: string;
+    capital: string;
+    currency: string;
+    languages: string[];
+    emoji: string;
+    emojiU: string;
+  }
+
+  interface CountryDetails extends CountryInfo {
+    /** The ISO 3166-1 alpha-2 code */
+    code: string;
+    /** The ISO 3166-1 alpha-3 code */
+    alpha3: string;
+    continentName: string;
+  }
+
+  interface CurrencyInfo {
+    /** The ISO 4217 code */
+    code: string;
+    name: string | null;
+    symbol: string;
+    /** The number of decimal digits */
+    digits: number;
+    /** The ISO 3166-1 alpha-2 codes of the countries that use the currency */
+    countries: string[];
+  }
+
+  interface LanguageInfo {
+    rfc5646: string;
+    region: CountryInfo | null;
+    language: {
+      name: string;
+      native: string;
+    };
+    /** The tag canonicalised by Intl, such as zh-Hant-TW */
+    canonical: string;
+    script: string | null;
+    variants: string[];
+    /** The extensions keyed by the singleton, such as { u: 'ca-buddhist' } */
+    extensions: Record<string, string>;
+    /** The text direction of the likely script */
+    direction: 'ltr' | 'rtl';
+    /** The names in the display locale, null without a display locale */
+    display: {
+      locale: string;
+      name: string | null;
+      language: string | null;
+      script: string | null;
+      region: string | null;
+    } | null;
+  }
+
+  interface ParsedUrl {
+    slashes: boolean;
+    protocol: string;
+    hash: string;
+    query: Record<string, string>;
+    pathname: string;
+    auth: string;
+    host: string;
+    port: string;
+    hostname: string;
+    password: string;
+    username: string;
+    origin: string;
+    href: string;
+  }
+
+  /**
+   * The units of the $datetime functions, singular or plural
+   */
+  type DateTimeUnit =
+    | 'year'
+    | 'years'
+    | 'month'
+    | 'months'
+    | 'week'
+    | 'weeks'
+    | 'day'
+    | 'days'
+    | 'hour'
+    | 'hours'
+    | 'minute'
+    | 'minutes'
+    | 'second'
+    | 'seconds'
+    | 'millisecond'
+    | 'milliseconds';
+
+  /**
+   * The Intl.DateTimeFormat options for $datetimeFormat, with the locale
+   */
+  interface DateTimeFormatOptions extends Intl.DateTimeFormatOptions {
+    /** The RFC5646 locale, defaults to the locale default or en-US */
+    locale?: string;
+  }
+
+  interface HumanizeDurationOptions {
+    /** The maximum number of units, the smaller units are omitted */
+    largest?: number;
+    /** The style of the unit names, defaults to 'long' */
+    unitDisplay?: 'long' | 'short' | 'narrow';
+  }
+
+  interface SlugifyOptions {
+    /** The separator between the words, defaults to '-' */
+    separator?: string;
+    /** The maximum length, the slug is cut at the end of a word when possible */
+    maxLength?: number;
+    /** Convert to lower case with the case rules of the locale, defaults to true */
+    lowercase?: boolean;
+    /** Transliterate and fold to ASCII, defaults to true */
+    transliterate?: boolean;
+    /** The RFC5646 locale for the transliteration and case rules, defaults to the locale default */
+    locale?: string;
+  }
+
+  interface PickLocaleOptions {
+    /** The property of the entries with the locale, defaults to 'localeCode' */
+    key?: string;
+    /** The locale to use when none of the preferred locales match */
+    fallback?: string;
+    /** lookup returns the best entry, filter returns every matching entry, defaults to 'lookup' */
+    matcher?: 'lookup' | 'filter';
+  }
+
+  interface ParsedPath {
+    base: string;
+    dir: string;
+    ext: string;
+    name: string;
+    root: string;
+  }
+
+  /**
+   * The extended functions available within an expression, each is called as $name. The single
+   * value functions also accept an array of strings, and return the results as a JSONata sequence
+   */
+  interface ExtendedFunctions {
+    htmltotext(value?: string, options?: HtmlToTextOptions): string | undefined;
+    htmltotext(value: string[], options?: HtmlToTextOptions): string | string[] | undefined;
+    shortenUuid(value?: string, base?: UuidBase): string | undefined;
+    shortenUuid(value: string[], base?: UuidBase): string | string[] | undefined;
+    unshortenUuid(value?: string, base?: UuidBase): string | undefined;
+    unshortenUuid(value: string[], base?: UuidBase): string | string[] | undefined;
+    encodeUuid(value?: string, base?: UuidBase): string | undefined;
+    encodeUuid(value: string[], base?: UuidBase): string | string[] | undefined;
+    decodeUuid(value?: string, base?: UuidBase): string | undefined;
+    decodeUuid(value: string[], base?: UuidBase): string | string[] | undefined;
+    truncate(value?: string, options?: TruncateOptions): string | undefined;
+    truncate(value: string[], options?: TruncateOptions): string | string[] | undefined;
+    languageInfo(value?: string, displayLocale?: string): LanguageInfo | undefined;
+    languageInfo(
+      value: string[],
+      displayLocale?: string
+    ): LanguageInfo | LanguageInfo[] | undefined;
+    countryInfo(value?: string): CountryDetails | undefined;
+    countryInfo(value: string[]): CountryDetails | CountryDetails[] | undefined;
+    currencyInfo(value?: string, locale?: string): CurrencyInfo | undefined;
+    currencyInfo(value: string[], locale?: string): CurrencyInfo | CurrencyInfo[] | undefined;
+    continentCountries(value?: string): CountryDetails[] | undefined;
+    countriesByLanguage(value?: string): CountryDetails[] | undefined;
+    formatNumberLocale(
+      value?: number,
+      locale?: string,
+      options?: Intl.NumberFormatOptions
+    ): string | undefined;
+    formatCurrency(value?: number, currency?: string, locale?: string): string | undefined;
+    parseNumberLocale(value?: string, locale?: string): number | undefined;
+    parseNumberLocale(value: string[], locale?: string): number | number[] | undefined;
+    formatMessage(
+      value?: string,
+      params?: Record<string, any>,
+      locale?: string
+    ): string | undefined;
+    t(key?: string, locale?: string, params?: Record<string, any>): string | undefined;
+    t(key: string | undefined, params: Record<string, any>): string | undefined;
+    parseUrl(value?: string): ParsedUrl | undefined;
+    parseUrl(value: string[]): ParsedUrl | ParsedUrl[] | undefined;
+    parsePath(value?: string): ParsedPath | undefined;
+    parsePath(value: string[]): ParsedPath | ParsedPath[] | undefined;
+    moment(...args: any[]): moment.Moment;
+    momentDuration(...args: any[]): moment.Duration;
+    datetime(value?: string | number, timeZone?: string): string | undefined;
+    datetimeParse(value?: string, picture?: string, timeZone?: string): string | undefined;
+    datetimeFormat(
+      value?: string | number,
+      picture?: string | DateTimeFormatOptions,
+      timeZone?: string
+    ): string | undefined;
+    datetimeAdd(
+      value: string | number | undefined,
+      amount: number,
+      unit: DateTimeUnit,
+      timeZone?: string
+    ): string | undefined;
+    datetimeSubtract(
+      value: string | number | undefined,
+      amount: number,
+      unit: DateTimeUnit,
+      timeZone?: string
+    ): string | undefined;
+    datetimeStartOf(
+      value?: string | number,
+      unit?: DateTimeUnit,
+      timeZone?: string
+    ): string | undefined;
+    datetimeDiff(
+      value?: string | number,
+      other?: string | number,
+      unit?: DateTimeUnit,
+      timeZone?: string
+    ): number | undefined;
+    /** An alias of datetime, to convert a date/time to a time zone */
+    toTimeZone(value?: string | number, timeZone?: string): string | undefined;
+    formatDateLocale(
+      value?: string | number,
+      locale?: string,
+      options?: Intl.DateTimeFormatOptions
+    ): string | undefined;
+    formatDuration(value?: string | number, picture?: string): string | undefined;
+    humanizeDuration(
+      value?: string | number,
+      locale?: string,
+      options?: HumanizeDurationOptions
+    ): string | undefined;
+    parseDuration(value?: string | number): string | undefined;
+    pickLocale(
+      value?: any[],
+      preferred?: string | string[],
+      options?: PickLocaleOptions & { matcher?: 'lookup' }
+    ): any;
+    pickLocale(
+      value: any[] | undefined,
+      preferred: string | string[] | undefined,
+      options: PickLocaleOptions & { matcher: 'filter' }
+    ): any[] | undefined;
+    mustache(value?: Record<string, any>, template?: string): string | undefined;
+    unicodeToASCII(value?: string, options?: UnicodeToASCIIOptions): string | undefined;
+    unicodeToASCII(value: string[], options?: UnicodeToASCIIOptions): string | string[] | undefined;
+    slugify(value?: string, options?: SlugifyOptions): string | undefined;
+    slugify(value: string[], options?: SlugifyOptions): string | string[] | undefined;
+    functions(): FunctionInfo[];
+    help(name?: string): FunctionInfo | undefined;
+  }
+
+  /**
+   * Create a stream that compiles the expression once and applies it to each record of NDJSON or
+   * JSON array text
+   */
+  function transformStream(expr: string, options?: StreamOptions): Transform;
+
+  /**
+   * Validate the expression without evaluating it, against the functions that would be registered
+   */
+  function validate(expr: string, options?: ValidateOptions): Diagnostic[];
+
+  /**
+   * Get the metadata of the extended and plugin functions that would be registered
+   */
+  function functions(options?: Options): FunctionInfo[];
+
+  /**
+   * Create a cache of compiled expressions, with least recently used eviction
+   */
+  function createCache(options?: CacheOptions): Cache;
+
+  /**
+   * Register a plugin so its functions are added to every expression created afterwards
+   */
+  function use(plugin: Plugin, options?: { namespace?: string }): typeof jsonataExtended;
+
+  /**
+   * Remove a registered plugin
+   */
+  function unuse(name: string): boolean;
+
+  /**
+   * List the registered plugins
+   */
+  function plugins(): PluginInfo[];
+}
+
+export = jsonataExtended;
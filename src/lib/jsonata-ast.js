@@ -0,0 +1,65 @@
+/**
+ * Helpers for working with the parsed JSONata expression AST
+ * @module jsonata-ast
+ * @exports walk
+ * @exports functionCalls
+ */
+
+/**
+ * Visit every node in the AST, depth first
+ * @access private
+ * @param {Object} ast - The AST returned by the JSONata expression ast() function
+ * @param {Function} visitor - Called with each node that has a type
+ */
+const walk = (ast, visitor) => {
+  const visited = new Set();
+
+  const visit = (value) => {
+    if (typeof value !== 'object' || value === null || visited.has(value)) {
+      return;
+    }
+    visited.add(value);
+
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+      return;
+    }
+
+    if (typeof value.type === 'string') {
+      visitor(value);
+    }
+    Object.keys(value).forEach((key) => visit(value[key]));
+  };
+
+  visit(ast);
+};
+
+/**
+ * Get the calls, including partial applications, to functions referenced by name
+ * @access private
+ * @param {Object} ast - The AST returned by the JSONata expression ast() function
+ * @returns {Array<{name: String, position: Number, arguments: Object[], partial: Boolean}>} The function calls, name is without the leading $
+ */
+const functionCalls = (ast) => {
+  const calls = [];
+  walk(ast, (node) => {
+    if (
+      (node.type === 'function' || node.type === 'partial') &&
+      node.procedure &&
+      node.procedure.type === 'variable'
+    ) {
+      calls.push({
+        name: node.procedure.value,
+        position: node.procedure.position,
+        arguments: node.arguments || [],
+        partial: node.type === 'partial',
+      });
+    }
+  });
+  return calls;
+};
+
+module.exports = {
+  walk,
+  functionCalls,
+};
@@ -0,0 +1,156 @@
+/**
+ * Compiled expression cache for JSONata Extended
+ * @module jsonata-cache
+ * @exports createCache
+ */
+
+/**
+ * Identifiers for the functions and other objects in options that cannot be serialised by value,
+ * so options with different functions have different keys
+ * @access private
+ * @type {WeakMap<Object, Number>}
+ */
+const functionIds = new WeakMap();
+let nextFunctionId = 0;
+
+/**
+ * Get the identifier of a function or object
+ * @access private
+ * @param {Object} value - The function or object
+ * @returns {Number} The identifier, the same for each call with the same value
+ */
+const functionId = (value) => {
+  if (!functionIds.has(value)) {
+    nextFunctionId += 1;
+    functionIds.set(value, nextFunctionId);
+  }
+  return functionIds.get(value);
+};
+
+/**
+ * Serialise the value to a string, with the object keys sorted so the same options always give the
+ * same string. A Date is serialised by its time
+ * @access private
+ * @param {*} value - The value to serialise
+ * @returns {String} The serialised value
+ */
+const stableStringify = (value) => {
+  if (typeof value === 'function') {
+    return `function#${functionId(value)}`;
+  }
+
+  if (value instanceof Date) {
+    return `Date#${value.getTime()}`;
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  // Other objects that are not plain objects, such as a Map, are keyed by identity
+  if (
+    typeof value === 'object' &&
+    value !== null &&
+    ![Object.prototype, null].includes(Object.getPrototypeOf(value))
+  ) {
+    return `object#${functionId(value)}`;
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return String(JSON.stringify(value));
+};
+
+/**
+ * Create a cache of compiled expressions, keyed by the expression text and options, that evicts the
+ * least recently used expression when full.
+ * The cached expression objects are shared, so values assigned or functions registered on an
+ * expression are seen by every caller that gets it from the cache.
+ * @access private
+ * @param {Function} compile - The function that compiles an expression, called with (expr, options)
+ * @param {Object} [options={}] - The options object
+ * @param {Number} [options.maxSize=100] - The maximum number of expressions to cache
+ * @param {Function} [options.generation] - Returns a value that changes when the compiled expressions would change, such as when a plugin is registered
+ *
+ * @example <caption>Example caching the compiled expressions</caption>
+ * // returns
+ * // stats = { hits: 1, misses: 1, evictions: 0, size: 1, maxSize: 50 }
+ * const jsonata = require('jsonata-extended');
+ * const cache = jsonata.createCache({ maxSize: 50 });
+ * cache.compile('$shortenUuid(id)').evaluate({ id: '1b49aa30-e719-11e6-9835-f723b46a2688' });
+ * cache.compile('$shortenUuid(id)').evaluate({ id: '11bf5b37-e0b8-42e0-8dcf-dc8c4aefc000' });
+ * const stats = cache.stats();
+ *
+ * @throws {TypeError} maxSize must be a positive integer
+ * @returns {{compile: Function, stats: Function, clear: Function}} The cache
+ */
+const createCache = (compile, options) => {
+  const localOptions = { maxSize: 100, generation: () => 0, ...options };
+
+  if (!Number.isInteger(localOptions.maxSize) || localOptions.maxSize <= 0) {
+    throw new TypeError(
+      `Invalid maxSize. Expected a positive integer. Received: ${localOptions.maxSize}`
+    );
+  }
+
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+
+  return {
+    /**
+     * Get the compiled expression from the cache, compiling it if not cached
+     * @param {String} expr - JSONata expression
+     * @param {Object} [expressionOptions] - The expression options
+     * @returns {Object} The JSONata Expression Object
+     */
+    compile: (expr, expressionOptions) => {
+      const key = `${localOptions.generation()}\u0000${stableStringify(
+        expressionOptions
+      )}\u0000${expr}`;
+
+      if (entries.has(key)) {
+        counters.hits += 1;
+        const expression = entries.get(key);
+        // Move to the end as the most recently used
+        entries.delete(key);
+        entries.set(key, expression);
+        return expression;
+      }
+
+      counters.misses += 1;
+      const expression = compile(expr, expressionOptions);
+      entries.set(key, expression);
+
+      if (entries.size > localOptions.maxSize) {
+        entries.delete(entries.keys().next().value);
+        counters.evictions += 1;
+      }
+      return expression;
+    },
+
+    /**
+     * Get the cache statistics
+     * @returns {{hits: Number, misses: Number, evictions: Number, size: Number, maxSize: Number}} The statistics
+     */
+    stats: () => ({ ...counters, size: entries.size, maxSize: localOptions.maxSize }),
+
+    /**
+     * Remove all the expressions from the cache and reset the statistics
+     */
+    clear: () => {
+      entries.clear();
+      counters.hits = 0;
+      counters.misses = 0;
+      counters.evictions = 0;
+    },
+  };
+};
+
+module.exports = {
+  createCache,
+};
@@ -0,0 +1,294 @@
+/**
+ * Command line interface for JSONata Extended
+ * @module jsonata-cli
+ * @exports parseArgs
+ * @exports run
+ */
+const fs = require('fs');
+const { pipeline, Transform } = require('stream');
+const jsonataExtended = require('./jsonata-extended');
+const { version } = require('../../package.json');
+
+const usage = `Usage: jsonata-extended [options] [--] [expression]
+
+Evaluate a JSONata Extended expression against JSON input.
+
+Options:
+  -f, --file <file>        Read the expression from the file
+  -i, --input <file>       Read the input JSON from the file, defaults to stdin
+  -b, --bindings <json>    JSON object of variable bindings
+  -s, --stream <format>    Apply the expression to each record of ndjson or array input,
+                           and output each result as a line of JSON
+  -c, --compact            Output compact JSON
+  -p, --pretty             Output pretty printed JSON (default)
+  -h, --help               Output usage information
+  -v, --version            Output the version number
+  --                       End the options, so the expression can start with -, such as -1
+`;
+
+/**
+ * The options that take a value, mapped to the property name
+ * @access private
+ * @type {Object<String, String>}
+ */
+const valueOptions = {
+  '-f': 'file',
+  '--file': 'file',
+  '-i': 'input',
+  '--input': 'input',
+  '-b': 'bindings',
+  '--bindings': 'bindings',
+  '-s': 'stream',
+  '--stream': 'stream',
+};
+
+/**
+ * The flag options, mapped to the property name and value
+ * @access private
+ * @type {Object<String, Array>}
+ */
+const flagOptions = {
+  '-c': ['pretty', false],
+  '--compact': ['pretty', false],
+  '-p': ['pretty', true],
+  '--pretty': ['pretty', true],
+  '-h': ['help', true],
+  '--help': ['help', true],
+  '-v': ['version', true],
+  '--version': ['version', true],
+};
+
+/**
+ * Parse the command line arguments
+ * @access private
+ * @param {String[]} argv - The arguments, without the node and script paths
+ * @returns {Object} The parsed options
+ *
+ * @throws Will throw an error for unknown options, missing values or a missing expression. The
+ * arguments after -- are never options
+ */
+const parseArgs = (argv) => {
+  const args = { pretty: true, help: false, version: false };
+  const positional = [];
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === '--') {
+      // The arguments after -- are not options
+      positional.push(...argv.slice(index + 1));
+      break;
+    }
+    if (Object.prototype.hasOwnProperty.call(valueOptions, arg)) {
+      if (index + 1 >= argv.length) {
+        throw new Error(`Missing value for option ${arg}`);
+      }
+      index += 1;
+      args[valueOptions[arg]] = argv[index];
+    } else if (Object.prototype.hasOwnProperty.call(flagOptions, arg)) {
+      const [key, value] = flagOptions[arg];
+      args[key] = value;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  if (args.help || args.version) {
+    return args;
+  }
+
+  if (typeof args.file !== 'undefined' && positional.length > 0) {
+    throw new Error('Specify the expression inline or with --file, not both');
+  }
+
+  if (typeof args.file === 'undefined') {
+    if (positional.length !== 1) {
+      throw new Error('Expected a single expression');
+    }
+    [args.expression] = positional;
+  }
+
+  if (typeof args.stream !== 'undefined' && !['ndjson', 'array'].includes(args.stream)) {
+    throw new Error(
+      `Invalid --stream format. Valid values: ndjson,array. Received: ${args.stream}`
+    );
+  }
+
+  if (typeof args.bindings !== 'undefined') {
+    try {
+      args.bindings = JSON.parse(args.bindings);
+    } catch (err) {
+      throw new Error(`Invalid --bindings JSON. ${err.message}`);
+    }
+    if (
+      typeof args.bindings !== 'object' ||
+      args.bindings === null ||
+      Array.isArray(args.bindings)
+    ) {
+      throw new Error('Invalid --bindings JSON. Expected an object');
+    }
+  }
+
+  return args;
+};
+
+/**
+ * Read the stream to the end
+ * @access private
+ * @param {ReadableStream} stream - The stream to read
+ * @returns {Promise<String>} The stream contents
+ */
+const readStream = (stream) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    stream.on('error', reject);
+  });
+
+/**
+ * Format an error for output, including the JSONata error code and position
+ * @access private
+ * @param {Object} err - The error
+ * @returns {String} The formatted error
+ */
+const formatError = (err) => {
+  const parts = ['Error'];
+  if (err.code) {
+    parts.push(err.code);
+  }
+  if (typeof err.position !== 'undefined') {
+    parts.push(`at position ${err.position}`);
+  }
+  if (typeof err.token !== 'undefined') {
+    parts.push(`near "${err.token}"`);
+  }
+  return `${parts.join(' ')}: ${err.message}\n`;
+};
+
+/**
+ * Apply the expression to each record of the input, writing the results as NDJSON
+ * @access private
+ * @param {String} expression - The expression
+ * @param {Object} args - The parsed arguments
+ * @param {ReadableStream} source - The input stream
+ * @param {WritableStream} stdout - The stream to write the results to
+ * @param {WritableStream} stderr - The stream to write the record errors to
+ * @returns {Promise<Number>} The exit code, 0 if all the records succeeded, 1 otherwise
+ */
+const runStream = (expression, args, source, stdout, stderr) =>
+  new Promise((resolve, reject) => {
+    let code = 0;
+    const lines = new Transform({
+      writableObjectMode: true,
+      transform({ index, result, error }, encoding, callback) {
+        if (error) {
+          code = 1;
+          stderr.write(`Record ${index}: ${formatError(error)}`);
+          callback();
+          return;
+        }
+        callback(null, typeof result !== 'undefined' ? `${JSON.stringify(result)}\n` : undefined);
+      },
+    });
+
+    // The pipeline waits for stdout to drain, and fails if a stream errors or closes early
+    pipeline(
+      source,
+      jsonataExtended.transformStream(expression, {
+        format: args.stream,
+        bindings: args.bindings,
+      }),
+      lines,
+      stdout,
+      (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(code);
+        }
+      }
+    );
+  });
+
+/**
+ * Run the command line interface
+ * @access private
+ * @param {String[]} argv - The arguments, without the node and script paths
+ * @param {Object} [io] - The streams to use, defaults to the process streams
+ * @param {ReadableStream} [io.stdin=process.stdin] - The stream to read input from
+ * @param {WritableStream} [io.stdout=process.stdout] - The stream to write the result to
+ * @param {WritableStream} [io.stderr=process.stderr] - The stream to write errors to
+ *
+ * @example <caption>Example usage from the command line</caption>
+ * // outputs
+ * // "1234567890..."
+ * echo '{"title": "1234567890123456789012345678901234567890"}' | jsonata-extended '$truncate(title, {"length": 13})'
+ *
+ * @example <caption>Example usage from the command line to transform each record of NDJSON</caption>
+ * // outputs a line for each record
+ * cat metadata.ndjson | jsonata-extended --stream ndjson '{"id": id, "title": localizedMetadata[0].title}'
+ *
+ * @returns {Promise<Number>} The exit code, 0 for success, 1 for an evaluation error, 2 for a usage error
+ */
+const run = async (argv, io) => {
+  const { stdin, stdout, stderr } = {
+    stdin: process.stdin,
+    stdout: process.stdout,
+    stderr: process.stderr,
+    ...io,
+  };
+
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    stderr.write(`${err.message}\n\n${usage}`);
+    return 2;
+  }
+
+  if (args.help) {
+    stdout.write(usage);
+    return 0;
+  }
+
+  if (args.version) {
+    stdout.write(`${version}\n`);
+    return 0;
+  }
+
+  try {
+    const expression =
+      typeof args.file !== 'undefined' ? fs.readFileSync(args.file).toString() : args.expression;
+
+    if (typeof args.stream !== 'undefined') {
+      const source =
+        typeof args.input !== 'undefined' && args.input !== '-'
+          ? fs.createReadStream(args.input)
+          : stdin;
+      return await runStream(expression, args, source, stdout, stderr);
+    }
+
+    const text =
+      typeof args.input !== 'undefined' && args.input !== '-'
+        ? fs.readFileSync(args.input).toString()
+        : await readStream(stdin);
+    const input = text.trim().length > 0 ? JSON.parse(text) : undefined;
+
+    const result = jsonataExtended(expression).evaluate(input, args.bindings);
+
+    if (typeof result !== 'undefined') {
+      stdout.write(`${JSON.stringify(result, null, args.pretty ? 2 : undefined)}\n`);
+    }
+    return 0;
+  } catch (err) {
+    stderr.write(formatError(err));
+    return 1;
+  }
+};
+
+module.exports = {
+  parseArgs,
+  run,
+};
@@ -0,0 +1,104 @@
+/**
+ * Injectable clock for JSONata expressions
+ * @module jsonata-clock
+ * @exports applyClock
+ */
+const momentjs = require('moment');
+const { wrapEvaluate } = require('./jsonata-expression');
+
+/**
+ * Get the timestamp of a clock value
+ * @access private
+ * @param {Number|String|Date} value - The timestamp in ms, date string or Date
+ * @returns {Number} The timestamp in ms, NaN if the value is not valid
+ */
+const toTimestamp = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return Date.parse(value);
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return NaN;
+};
+
+/**
+ * Get the timestamp from the clock
+ * @access private
+ * @param {Number|String|Date|Function} clock - The clock
+ * @returns {Number} The timestamp in ms
+ *
+ * @throws {TypeError} the clock must be or return a valid timestamp
+ */
+const readClock = (clock) => {
+  const timestamp = toTimestamp(typeof clock === 'function' ? clock() : clock);
+
+  if (!Number.isFinite(timestamp)) {
+    throw new TypeError(
+      `Invalid options.clock. Expected a timestamp, date string, Date or function. Received: ${clock}`
+    );
+  }
+  return timestamp;
+};
+
+/**
+ * Replace the system clock for the expression, so $now(), $millis(), $moment() and the moment
+ * relative time functions such as fromNow() are deterministic.
+ * The clock is read once at the start of each call of evaluate, in the same way as JSONata.
+ * @access private
+ * @param {Object} expression - The JSONata Expression Object {@link https://www.npmjs.com/package/jsonata|JSONata NPM}
+ * @param {Number|String|Date|Function} [clock] - The fixed timestamp in ms, date string or Date, or a function that returns one. The system clock is used if undefined
+ *
+ * @example <caption>Example fixing the clock</caption>
+ * // returns
+ * // result = '2017-02-02T15:49:06.000Z'
+ * const jsonata = require('jsonata-extended');
+ * const expr = jsonata('$now()', { clock: '2017-02-02T15:49:06Z' });
+ * const result = expr.evaluate();
+ *
+ * @throws {TypeError} the clock must be or return a valid timestamp
+ * @returns {Object} The JSONata Expression Object
+ */
+const applyClock = (expression, clock) => {
+  if (typeof clock === 'undefined') {
+    return expression;
+  }
+
+  if (typeof clock !== 'function') {
+    readClock(clock);
+  }
+
+  let timestamp = 0;
+
+  expression.registerFunction(
+    'now',
+    function now(picture, timezone) {
+      // Format with the JSONata $fromMillis
+      return this.environment
+        .lookup('fromMillis')
+        .implementation.call(this, timestamp, picture, timezone);
+    },
+    '<s?s?:s>'
+  );
+  expression.registerFunction('millis', () => timestamp, '<:n>');
+
+  return wrapEvaluate(expression, (evaluate) => (input, bindings, callback) => {
+    timestamp = readClock(clock);
+
+    // moment reads the time from moment.now
+    const { now } = momentjs;
+    momentjs.now = () => timestamp;
+    try {
+      return evaluate(input, bindings, callback);
+    } finally {
+      momentjs.now = now;
+    }
+  });
+};
+
+module.exports = {
+  applyClock,
+};
@@ -0,0 +1,361 @@
+/**
+ * Immutable date/time values for JSONata expressions, represented as ISO 8601 strings with an
+ * offset and calculated with Intl, so there is no shared state between calls
+ * @module jsonata-datetime
+ * @exports timeZoneOffset
+ * @exports checkTimeZone
+ * @exports offsetString
+ * @exports toTimestamp
+ * @exports toIsoString
+ * @exports wallTime
+ * @exports fromWallTime
+ * @exports hasOffset
+ * @exports add
+ * @exports startOf
+ * @exports diff
+ */
+const { createError } = require('./jsonata-errors');
+
+/**
+ * The length in ms of the units with a fixed length
+ * @access private
+ * @type {Object<String, Number>}
+ */
+const exactUnits = {
+  millisecond: 1,
+  second: 1000,
+  minute: 60000,
+  hour: 3600000,
+};
+
+/**
+ * The units, largest first
+ * @access private
+ * @type {String[]}
+ */
+const units = ['year', 'month', 'week', 'day', 'hour', 'minute', 'second', 'millisecond'];
+
+/**
+ * Get the offset from UTC of the time zone at the timestamp
+ * @access private
+ * @param {Number} timestamp - The timestamp in ms
+ * @param {String} timeZone - The IANA time zone, such as Europe/London
+ * @returns {Number} The offset in minutes
+ *
+ * @throws {RangeError} the time zone must be a valid IANA time zone
+ */
+const timeZoneOffset = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(timestamp));
+  const part = (type) => Number(parts.find((item) => item.type === type).value);
+  const local = Date.UTC(
+    part('year'),
+    part('month') - 1,
+    part('day'),
+    part('hour'),
+    part('minute'),
+    part('second')
+  );
+
+  return Math.round((local - Math.floor(timestamp / 1000) * 1000) / 60000);
+};
+
+/**
+ * Check the time zone is a valid IANA time zone
+ * @access private
+ * @param {String} timeZone - The time zone
+ * @returns {String} The time zone
+ *
+ * @throws Will throw an error with code X1010 if the time zone is not valid
+ */
+const checkTimeZone = (timeZone) => {
+  try {
+    timeZoneOffset(0, timeZone);
+  } catch (err) {
+    throw createError('X1010', { value: timeZone });
+  }
+  return timeZone;
+};
+
+/**
+ * Get the offset of the time zone at the timestamp, in the form +HHMM used by the JSONata
+ * $fromMillis timezone argument
+ * @access private
+ * @param {Number} timestamp - The timestamp in ms
+ * @param {String} timeZone - The IANA time zone
+ * @param {String} [separator=''] - The separator between the hours and minutes
+ * @returns {String} The offset
+ */
+const offsetString = (timestamp, timeZone, separator = '') => {
+  const offset = timeZoneOffset(timestamp, timeZone);
+  const hours = `${Math.floor(Math.abs(offset) / 60)}`.padStart(2, '0');
+  const minutes = `${Math.abs(offset) % 60}`.padStart(2, '0');
+  return `${offset < 0 ? '-' : '+'}${hours}${separator}${minutes}`;
+};
+
+/**
+ * Get the local time in the time zone as a timestamp, so it can be calculated with the UTC Date
+ * functions
+ * @access private
+ * @param {Number} timestamp - The timestamp in ms
+ * @param {String} timeZone - The IANA time zone
+ * @returns {Number} The local time in ms
+ */
+const wallTime = (timestamp, timeZone) => timestamp + timeZoneOffset(timestamp, timeZone) * 60000;
+
+/**
+ * Get the timestamp of the local time in the time zone
+ * @access private
+ * @param {Number} local - The local time in ms
+ * @param {String} timeZone - The IANA time zone
+ * @returns {Number} The timestamp in ms
+ */
+const fromWallTime = (local, timeZone) => {
+  // The offset at the local time, checked again in case it crosses a daylight saving change
+  const guess = local - timeZoneOffset(local, timeZone) * 60000;
+  return local - timeZoneOffset(guess, timeZone) * 60000;
+};
+
+/**
+ * Check if a date/time string has an offset, Z or such as +01:00, after the time. A date without a
+ * time never has an offset, so the day of 2017-07-02 is not read as an offset.
+ * @access private
+ * @param {String} value - The date/time string
+ * @returns {Boolean} True if the string has an offset
+ */
+const hasOffset = (value) => /[T ]\d\d:?\d\d.*(Z|[+-]\d\d(:?\d\d)?)$/i.test(value);
+
+/**
+ * Check the date and time fields of a date/time string are in range, so an impossible date such as
+ * 2021-02-30 is not rolled over to the next month
+ * @access private
+ * @param {String} value - The date/time string
+ * @returns {Boolean} True if the fields are in range
+ */
+const validFields = (value) => {
+  const [, year, month, day = '01', hours = '00', minutes = '00', seconds = '00'] =
+    /^([+-]?\d{4,6})-(\d\d)(?:-(\d\d))?(?:[T ](\d\d):(\d\d)(?::(\d\d))?)?/.exec(value);
+  const date = new Date(0);
+  date.setUTCFullYear(Number(year), Number(month) - 1, Number(day));
+  const time = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  return (
+    date.getUTCFullYear() === Number(year) &&
+    date.getUTCMonth() === Number(month) - 1 &&
+    date.getUTCDate() === Number(day) &&
+    Number(minutes) < 60 &&
+    Number(seconds) < 60 &&
+    // 24:00 is the end of the day
+    time <= 24 * 3600
+  );
+};
+
+/**
+ * Get the timestamp of a date/time
+ * @access private
+ * @param {String|Number} value - An ISO 8601 string, or the timestamp in ms. A string without an offset is the local time in the time zone
+ * @param {String} timeZone - The IANA time zone
+ * @returns {Number} The timestamp in ms
+ *
+ * @throws Will throw an error with code X1008 if the value is not a valid date/time
+ */
+const toTimestamp = (value, timeZone) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value;
+  }
+
+  if (typeof value === 'string' && /^[+-]?\d{4,6}-\d\d(-\d\d)?([T ]\d\d:\d\d)?/.test(value)) {
+    const offset = hasOffset(value);
+    const timestamp = Date.parse(offset ? value : `${value.replace(' ', 'T')}Z`);
+    if (!Number.isNaN(timestamp) && validFields(value)) {
+      return offset ? timestamp : fromWallTime(timestamp, timeZone);
+    }
+  }
+
+  throw createError('X1008', { value });
+};
+
+/**
+ * Get the ISO 8601 string of the timestamp in the time zone, with the offset
+ * @access private
+ * @param {Number} timestamp - The timestamp in ms
+ * @param {String} timeZone - The IANA time zone
+ * @returns {String} The ISO 8601 string, such as 2017-07-02T11:00:00.000+01:00
+ */
+const toIsoString = (timestamp, timeZone) => {
+  const offset = timeZoneOffset(timestamp, timeZone);
+  const local = new Date(timestamp + offset * 60000).toISOString();
+  return offset === 0 ? local : local.replace(/Z$/, offsetString(timestamp, timeZone, ':'));
+};
+
+/**
+ * Get the unit without a plural s
+ * @access private
+ * @param {String} unit - The unit, such as day or days
+ * @returns {String} The unit
+ *
+ * @throws Will throw an error with code X1009 if the unit is not valid
+ */
+const checkUnit = (unit) => {
+  const singular = typeof unit === 'string' ? unit.replace(/s$/, '') : unit;
+  if (!units.includes(singular)) {
+    throw createError('X1009', { value: unit, expected: units.join(',') });
+  }
+  return singular;
+};
+
+/**
+ * Add months to a local time, the day is constrained to the last day of the month
+ * @access private
+ * @param {Number} local - The local time in ms
+ * @param {Number} months - The months to add
+ * @returns {Number} The local time in ms
+ */
+const addMonths = (local, months) => {
+  const date = new Date(local);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return date.getTime();
+};
+
+/**
+ * Add an amount of a unit to the timestamp. The year, month, week and day units are added to the
+ * local time in the time zone, so a day is not always 24 hours.
+ * @access private
+ * @param {Number} timestamp - The timestamp in ms
+ * @param {Number} amount - The amount to add, an integer for the year, month, week and day units
+ * @param {String} unit - The unit
+ * @param {String} timeZone - The IANA time zone
+ * @returns {Number} The timestamp in ms
+ *
+ * @throws Will throw an error with code X1009 if the unit is not valid
+ * @throws Will throw an error with code X1011 if the amount is not an integer for a calendar unit
+ */
+const add = (timestamp, amount, unit, timeZone) => {
+  const singular = checkUnit(unit);
+
+  if (Object.prototype.hasOwnProperty.call(exactUnits, singular)) {
+    return timestamp + amount * exactUnits[singular];
+  }
+
+  if (!Number.isInteger(amount)) {
+    throw createError('X1011', { value: amount, unit: singular });
+  }
+
+  const local = wallTime(timestamp, timeZone);
+  const date = new Date(local);
+  switch (singular) {
+    case 'year':
+      return fromWallTime(addMonths(local, amount * 12), timeZone);
+    case 'month':
+      return fromWallTime(addMonths(local, amount), timeZone);
+    case 'week':
+      date.setUTCDate(date.getUTCDate() + amount * 7);
+      return fromWallTime(date.getTime(), timeZone);
+    default:
+      date.setUTCDate(date.getUTCDate() + amount);
+      return fromWallTime(date.getTime(), timeZone);
+  }
+};
+
+/**
+ * Get the start of the unit containing the timestamp, in the time zone. Weeks start on Monday.
+ * @access private
+ * @param {Number} timestamp - The timestamp in ms
+ * @param {String} unit - The unit
+ * @param {String} timeZone - The IANA time zone
+ * @returns {Number} The timestamp in ms
+ *
+ * @throws Will throw an error with code X1009 if the unit is not valid
+ */
+const startOf = (timestamp, unit, timeZone) => {
+  const singular = checkUnit(unit);
+  const date = new Date(wallTime(timestamp, timeZone));
+  const fields = [
+    ['month', () => date.setUTCMonth(0)],
+    ['day', () => date.setUTCDate(1)],
+    ['hour', () => date.setUTCHours(0)],
+    ['minute', () => date.setUTCMinutes(0)],
+    ['second', () => date.setUTCSeconds(0)],
+    ['millisecond', () => date.setUTCMilliseconds(0)],
+  ];
+
+  if (singular === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+
+  // Reset each field smaller than the unit
+  const smallest = singular === 'week' ? 'day' : singular;
+  fields
+    .filter(([field]) => units.indexOf(field) > units.indexOf(smallest))
+    .forEach(([, reset]) => reset());
+
+  return fromWallTime(date.getTime(), timeZone);
+};
+
+/**
+ * Get the difference between the timestamps, truncated to a whole number of the unit. The year,
+ * month, week and day units are calculated from the local times in the time zone.
+ * @access private
+ * @param {Number} timestamp - The timestamp in ms
+ * @param {Number} other - The timestamp in ms to subtract
+ * @param {String} unit - The unit
+ * @param {String} timeZone - The IANA time zone
+ * @returns {Number} The difference
+ *
+ * @throws Will throw an error with code X1009 if the unit is not valid
+ */
+const diff = (timestamp, other, unit, timeZone) => {
+  const singular = checkUnit(unit);
+
+  if (Object.prototype.hasOwnProperty.call(exactUnits, singular)) {
+    return Math.trunc((timestamp - other) / exactUnits[singular]);
+  }
+
+  const local = wallTime(timestamp, timeZone);
+  const otherLocal = wallTime(other, timeZone);
+
+  if (singular === 'day' || singular === 'week') {
+    return Math.trunc((local - otherLocal) / (singular === 'day' ? 86400000 : 604800000));
+  }
+
+  const date = new Date(local);
+  const otherDate = new Date(otherLocal);
+  let months =
+    (date.getUTCFullYear() - otherDate.getUTCFullYear()) * 12 +
+    (date.getUTCMonth() - otherDate.getUTCMonth());
+
+  // Not a whole month if the other time plus the months is past the time
+  const anchor = addMonths(otherLocal, months);
+  if (months > 0 && anchor > local) {
+    months -= 1;
+  } else if (months < 0 && anchor < local) {
+    months += 1;
+  }
+
+  return singular === 'year' ? Math.trunc(months / 12) : months;
+};
+
+module.exports = {
+  timeZoneOffset,
+  checkTimeZone,
+  offsetString,
+  toTimestamp,
+  toIsoString,
+  wallTime,
+  fromWallTime,
+  hasOffset,
+  add,
+  startOf,
+  diff,
+};
@@ -0,0 +1,298 @@
+/**
+ * Parsing, formatting and humanising of durations for JSONata expressions. A duration is held as
+ * the calendar parts, years, months and days, and the exact time in ms, in the same way as ISO 8601
+ * @module jsonata-duration
+ * @exports parseIso
+ * @exports parse
+ * @exports toIso
+ * @exports toMilliseconds
+ * @exports format
+ * @exports humanize
+ */
+const { createError } = require('./jsonata-errors');
+
+/**
+ * The length in ms of the units of the time part, and the calendar units when a duration is
+ * converted to a total. A year is 365 days and a month is 30 days.
+ * @access private
+ * @type {Object<String, Number>}
+ */
+const unitMs = {
+  year: 31536000000,
+  month: 2592000000,
+  week: 604800000,
+  day: 86400000,
+  hour: 3600000,
+  minute: 60000,
+  second: 1000,
+  millisecond: 1,
+};
+
+/**
+ * The unit names accepted by parse, each a pair of the pattern of the names and the unit
+ * @access private
+ * @type {Array<Array>}
+ */
+const unitNames = [
+  [/^(y|yrs?|years?)$/i, 'year'],
+  [/^(mos?|mths?|months?)$/i, 'month'],
+  [/^(w|wks?|weeks?)$/i, 'week'],
+  [/^(d|days?)$/i, 'day'],
+  [/^(h|hrs?|hours?)$/i, 'hour'],
+  [/^(m|mins?|minutes?)$/i, 'minute'],
+  [/^(s|secs?|seconds?)$/i, 'second'],
+  [/^(ms|msecs?|milliseconds?)$/i, 'millisecond'],
+];
+
+/**
+ * The ISO 8601 duration, such as P3DT2H2M10S or PT1.5H
+ * @access private
+ * @type {RegExp}
+ */
+const isoPattern =
+  /^([+-])?P(?:([\d.,]+)Y)?(?:([\d.,]+)M)?(?:([\d.,]+)W)?(?:([\d.,]+)D)?(?:T(?:([\d.,]+)H)?(?:([\d.,]+)M)?(?:([\d.,]+)S)?)?$/i;
+
+/**
+ * Create a duration from the amounts of each unit. Weeks are added to the days, and fractions of
+ * days and the time units are added to the time in ms
+ * @access private
+ * @param {Object<String, Number>} amounts - The amount of each unit
+ * @param {Boolean} [negative=false] - If the duration is negative
+ * @returns {{negative: Boolean, years: Number, months: Number, days: Number, milliseconds: Number}} The duration
+ */
+const fromAmounts = (amounts, negative = false) => {
+  const { year = 0, month = 0, week = 0, day = 0 } = amounts;
+  const days = week * 7 + day;
+  const milliseconds = ['hour', 'minute', 'second', 'millisecond'].reduce(
+    (total, unit) => total + (amounts[unit] || 0) * unitMs[unit],
+    (days - Math.floor(days)) * unitMs.day
+  );
+
+  return {
+    negative,
+    years: year,
+    months: month,
+    days: Math.floor(days),
+    milliseconds: Math.round(milliseconds),
+  };
+};
+
+/**
+ * Parse an ISO 8601 duration
+ * @access private
+ * @param {String} value - The ISO 8601 duration, such as P3DT2H2M10S
+ * @returns {{negative: Boolean, years: Number, months: Number, days: Number, milliseconds: Number}} The duration
+ *
+ * @throws Will throw an error with code X1012 if the value is not a valid duration
+ */
+const parseIso = (value) => {
+  const match = typeof value === 'string' ? isoPattern.exec(value.trim()) : null;
+
+  // P and PT alone are not valid
+  if (!match || match.slice(2).every((item) => typeof item === 'undefined') || /T$/i.test(value)) {
+    throw createError('X1012', { value });
+  }
+
+  const units = ['year', 'month', 'week', 'day', 'hour', 'minute', 'second'];
+  const amounts = {};
+  units.forEach((unit, index) => {
+    const amount = match[index + 2];
+    if (typeof amount !== 'undefined') {
+      amounts[unit] = Number(amount.replace(',', '.'));
+      if (Number.isNaN(amounts[unit])) {
+        throw createError('X1012', { value });
+      }
+    }
+  });
+
+  return fromAmounts(amounts, match[1] === '-');
+};
+
+/**
+ * Parse a duration in one of the common formats: ISO 8601 such as PT1H30M, units such as 1h 30m or
+ * 1 hour 30 minutes, a clock such as 1:30 or 01:30:00, or a number of seconds
+ * @access private
+ * @param {String|Number} value - The duration
+ * @returns {{negative: Boolean, years: Number, months: Number, days: Number, milliseconds: Number}} The duration
+ *
+ * @throws Will throw an error with code X1012 if the value is not a valid duration
+ */
+const parse = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return fromAmounts({ second: Math.abs(value) }, value < 0);
+  }
+
+  if (typeof value !== 'string') {
+    throw createError('X1012', { value });
+  }
+
+  const text = value.trim();
+  const negative = text.startsWith('-');
+  const unsigned = text.replace(/^[+-]/, '').trim();
+
+  if (/^P/i.test(unsigned)) {
+    return parseIso(text);
+  }
+
+  if (/^\d+(\.\d+)?$/.test(unsigned)) {
+    return fromAmounts({ second: Number(unsigned) }, negative);
+  }
+
+  const clock = /^(\d+):(\d{1,2})(?::(\d{1,2}(?:\.\d+)?))?$/.exec(unsigned);
+  if (clock) {
+    const [, hour, minute, second = '0'] = clock;
+    return fromAmounts(
+      { hour: Number(hour), minute: Number(minute), second: Number(second) },
+      negative
+    );
+  }
+
+  const amounts = {};
+  const rest = unsigned.replace(/(\d+(?:\.\d+)?)\s*([a-z]+)/gi, (match, amount, name) => {
+    const unitName = unitNames.find(([pattern]) => pattern.test(name));
+    if (!unitName) {
+      throw createError('X1012', { value });
+    }
+    amounts[unitName[1]] = (amounts[unitName[1]] || 0) + Number(amount);
+    return ' ';
+  });
+
+  // Only separators are left between the units
+  if (Object.keys(amounts).length === 0 || !/^(\s|,|and\b)*$/i.test(rest)) {
+    throw createError('X1012', { value });
+  }
+
+  return fromAmounts(amounts, negative);
+};
+
+/**
+ * Get the ISO 8601 string of the duration, the time is carried into hours but not days
+ * @access private
+ * @param {{negative: Boolean, years: Number, months: Number, days: Number, milliseconds: Number}} duration - The duration
+ * @returns {String} The ISO 8601 duration, such as PT1H30M
+ */
+const toIso = (duration) => {
+  const { negative, years, months, days, milliseconds } = duration;
+  const hours = Math.floor(milliseconds / unitMs.hour);
+  const minutes = Math.floor((milliseconds % unitMs.hour) / unitMs.minute);
+  const seconds = (milliseconds % unitMs.minute) / unitMs.second;
+
+  const date = [
+    [years, 'Y'],
+    [months, 'M'],
+    [days, 'D'],
+  ]
+    .filter(([amount]) => amount !== 0)
+    .map(([amount, designator]) => `${amount}${designator}`)
+    .join('');
+  const time = [
+    [hours, 'H'],
+    [minutes, 'M'],
+    [seconds, 'S'],
+  ]
+    .filter(([amount]) => amount !== 0)
+    .map(([amount, designator]) => `${amount}${designator}`)
+    .join('');
+
+  if (!date && !time) {
+    return 'PT0S';
+  }
+
+  return `${negative ? '-' : ''}P${date}${time ? `T${time}` : ''}`;
+};
+
+/**
+ * Get the total ms of the duration, a year is 365 days and a month is 30 days
+ * @access private
+ * @param {{negative: Boolean, years: Number, months: Number, days: Number, milliseconds: Number}} duration - The duration
+ * @returns {Number} The total in ms, negative for a negative duration
+ */
+const toMilliseconds = (duration) => {
+  const { negative, years, months, days, milliseconds } = duration;
+  const total = years * unitMs.year + months * unitMs.month + days * unitMs.day + milliseconds;
+  return negative ? -total : total;
+};
+
+/**
+ * Format the total ms with a picture of d, h, m, s and S tokens. The largest unit in the picture
+ * holds the total, so hh:mm:ss gives 74:02:10 for P3DT2H2M10S. The number of letters is the
+ * minimum number of digits, and text in square brackets is not replaced.
+ * @access private
+ * @param {Number} milliseconds - The total in ms
+ * @param {String} picture - The picture, such as hh:mm:ss or d[d] h[h]
+ * @returns {String} The formatted duration, with a - for a negative duration
+ */
+const format = (milliseconds, picture) => {
+  const tokenUnits = { d: 'day', h: 'hour', m: 'minute', s: 'second', S: 'millisecond' };
+  const pattern = /\[([^\]]*)\]|d+|h+|m+|s+|S+/g;
+
+  // The amount of each unit in the picture, largest first
+  const tokens = picture.match(pattern) || [];
+  const used = Object.keys(tokenUnits).filter((unit) => tokens.some((token) => token[0] === unit));
+  const amounts = {};
+  let remaining = Math.abs(milliseconds);
+  used.forEach((token) => {
+    amounts[token] = Math.floor(remaining / unitMs[tokenUnits[token]]);
+    remaining -= amounts[token] * unitMs[tokenUnits[token]];
+  });
+
+  const result = picture.replace(pattern, (token, literal) =>
+    typeof literal === 'undefined' ? `${amounts[token[0]]}`.padStart(token.length, '0') : literal
+  );
+  return milliseconds < 0 ? `-${result}` : result;
+};
+
+/**
+ * Get the duration as words for the locale, such as 2 hours 5 minutes. The years and months are
+ * kept, and the days and time are carried into days, hours, minutes and seconds.
+ * @access private
+ * @param {{negative: Boolean, years: Number, months: Number, days: Number, milliseconds: Number}} duration - The duration
+ * @param {String} locale - The RFC5646 locale
+ * @param {Object} [options={}] - The options
+ * @param {Number} [options.largest] - The maximum number of units, the smaller units are omitted
+ * @param {('long'|'short'|'narrow')} [options.unitDisplay='long'] - The style of the unit names
+ * @returns {String} The duration as words, separated by spaces
+ */
+const humanize = (duration, locale, options = {}) => {
+  const { largest = Infinity, unitDisplay = 'long' } = options;
+  const { negative, years, months, days, milliseconds } = duration;
+  const time = days * unitMs.day + milliseconds;
+
+  const parts = [
+    ['year', years],
+    ['month', months],
+    ['day', Math.floor(time / unitMs.day)],
+    ['hour', Math.floor((time % unitMs.day) / unitMs.hour)],
+    ['minute', Math.floor((time % unitMs.hour) / unitMs.minute)],
+    ['second', (time % unitMs.minute) / unitMs.second],
+  ]
+    .filter(([, amount]) => amount !== 0)
+    .slice(0, largest);
+
+  if (parts.length === 0) {
+    parts.push(['second', 0]);
+  }
+
+  return parts
+    .map(([unit, amount], index) =>
+      new Intl.NumberFormat(locale, {
+        style: 'unit',
+        unit,
+        unitDisplay,
+        maximumFractionDigits: 3,
+      })
+        .format(negative && index === 0 ? -amount : amount)
+        // Some locales use a no-break space between the number and the unit
+        .replace(/[\u00a0\u202f]/g, ' ')
+    )
+    .join(' ');
+};
+
+module.exports = {
+  parseIso,
+  parse,
+  toIso,
+  toMilliseconds,
+  format,
+  humanize,
+};
@@ -0,0 +1,96 @@
+/**
+ * Error codes and errors for JSONata Extended
+ * @module jsonata-errors
+ * @exports errorCodes
+ * @exports formatMessage
+ * @exports createError
+ */
+
+/**
+ * The error codes and message templates, in the same format as the JSONata error codes.
+ * Triple braces are replaced with the property value, double braces with the JSON stringified value
+ * @access private
+ * @type {Object<String, String>}
+ */
+const errorCodes = {
+  U1001:
+    'Stack overflow error: Check for non-terminating recursive function.  Consider rewriting as tail-recursive. Maximum depth: {{{value}}}',
+  U1002: 'Expression evaluation timeout: Check for infinite loop. Timeout: {{{value}}}ms',
+  U1003: 'Expression result too large. Maximum size: {{{value}}} bytes',
+  T0412: 'Argument {{index}} of function {{token}} must be an array of {{type}}',
+  X1000: '{{{message}}}',
+  X1001: 'Invalid UUID',
+  X1002: 'Invalid basex. Valid values: {{{expected}}}',
+  X1003: 'Invalid encoded data',
+  X1004: 'Invalid RFC5646 Tag. Value: {{{value}}}',
+  X1005: 'Invalid URL',
+  X1006: 'Expected a {{{expected}}}. Received options.{{{key}}}={{{value}}} Type: {{{type}}}',
+  X1007: 'Error Processing workdbreakregex.',
+  X1008: 'Invalid date/time. Value: {{{value}}}',
+  X1009: 'Invalid unit. Valid values: {{{expected}}}. Received: {{{value}}}',
+  X1010: 'Invalid time zone. Value: {{{value}}}',
+  X1011: 'Invalid amount. Expected an integer for unit {{{unit}}}. Received: {{{value}}}',
+  X1012: 'Invalid duration. Value: {{{value}}}',
+  X1013: 'Unknown country. Value: {{{value}}}',
+  X1014: 'Unknown currency. Value: {{{value}}}',
+  X1015: 'Unknown continent. Valid values: {{{expected}}}. Received: {{{value}}}',
+  X1016: 'Unknown language. Value: {{{value}}}',
+  X1017: 'Invalid number for locale {{{locale}}}. Value: {{{value}}}',
+  X1018: 'Invalid message. {{{reason}}} at position {{{position}}}',
+  X1019: 'Invalid message argument {{{argument}}}. Value: {{{value}}}',
+  X1020: 'Function ${{{token}}} is not available in this expression',
+  V1001: 'Unknown function {{token}}',
+  V1002: 'Function {{token}} expects at least {{{expected}}} arguments. Received: {{{value}}}',
+  V1003: 'Function {{token}} expects at most {{{expected}}} arguments. Received: {{{value}}}',
+  V1004:
+    'Argument {{{index}}} of function {{token}} does not match function signature. Expected: {{{expected}}}',
+  V1005: 'Unknown option {{key}} for function {{token}}',
+  V1006: 'Option {{key}} of function {{token}} expects {{{expected}}}',
+};
+
+/**
+ * The error class of the codes that are not an Error, the options of the wrong type are a
+ * TypeError as they were before the error codes were added
+ * @access private
+ * @type {Object<String, Function>}
+ */
+const errorClasses = {
+  X1006: TypeError,
+};
+
+/**
+ * Get the message for the code, populated from the template
+ * @access private
+ * @param {String} code - The error code
+ * @param {Object} [properties={}] - The properties used to populate the message
+ * @returns {String} The message
+ */
+const formatMessage = (code, properties) => {
+  const localProperties = { ...properties };
+  const template = errorCodes[code] || code;
+
+  return template
+    .replace(/\{\{\{([^}]+)}}}/g, (match, key) => localProperties[key])
+    .replace(/\{\{([^}]+)}}/g, (match, key) => JSON.stringify(localProperties[key]));
+};
+
+/**
+ * Create an error for the code, with the message populated from the template
+ * @access private
+ * @param {String} code - The error code
+ * @param {Object} [properties={}] - Properties to add to the error, used to populate the message
+ * @returns {Error} The error, with the code and properties, a TypeError for X1006
+ */
+const createError = (code, properties) => {
+  const ErrorClass = errorClasses[code] || Error;
+  const error = new ErrorClass(formatMessage(code, properties));
+  error.code = code;
+  Object.assign(error, properties);
+  return error;
+};
+
+module.exports = {
+  errorCodes,
+  formatMessage,
+  createError,
+};
@@ -0,0 +1,21 @@
+/**
+ * Helpers for extending the JSONata expression object
+ * @module jsonata-expression
+ * @exports wrapEvaluate
+ */
+
+/**
+ * Replace the evaluate function of the expression with a wrapper around it, and add any other
+ * members to the expression
+ * @access private
+ * @param {Object} expression - The JSONata Expression Object
+ * @param {Function} wrap - Called with the current evaluate function, returns the new evaluate function
+ * @param {Object} [members] - The other members to add to the expression
+ * @returns {Object} The JSONata Expression Object
+ */
+const wrapEvaluate = (expression, wrap, members) =>
+  Object.assign(expression, members, { evaluate: wrap(expression.evaluate) });
+
+module.exports = {
+  wrapEvaluate,
+};
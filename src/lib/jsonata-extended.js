@@ -1,5 +1,133 @@
 const jsonataOriginal = require('jsonata');
 const jsonataFunctions = require('./jsonata-functions');
+const jsonataPlugins = require('./jsonata-plugins');
+const jsonataAst = require('./jsonata-ast');
+const jsonataLimits = require('./jsonata-limits');
+const jsonataClock = require('./jsonata-clock');
+const jsonataStream = require('./jsonata-stream');
+const jsonataCache = require('./jsonata-cache');
+const jsonataValidate = require('./jsonata-validate');
+const jsonataTranslations = require('./jsonata-translations');
+const { wrapEvaluate } = require('./jsonata-expression');
+const { createError } = require('./jsonata-errors');
+
+/**
+ * Select the function definitions to register based on the functions option
+ * @access private
+ * @param {Object[]} definitions - All the available function definitions
+ * @param {('all'|'none'|String[]|Object)} [functions='all'] - The functions option
+ * @returns {Object[]} The selected function definitions
+ *
+ * @throws {TypeError} functions must be 'all', 'none', an array or an object with include/exclude arrays
+ * @throws {TypeError} the include and exclude lists must only name available functions
+ */
+const selectFunctions = (definitions, functions = 'all') => {
+  if (functions === 'all') {
+    return definitions;
+  }
+
+  if (functions === 'none') {
+    return [];
+  }
+
+  const localOptions = Array.isArray(functions) ? { include: functions } : functions;
+
+  if (typeof localOptions !== 'object' || localOptions === null) {
+    throw new TypeError(
+      `Invalid options.functions. Expected 'all', 'none', an array or an object. Received: ${functions}`
+    );
+  }
+
+  const names = definitions.map((definition) => definition.name);
+
+  ['include', 'exclude'].forEach((key) => {
+    if (typeof localOptions[key] === 'undefined') {
+      return;
+    }
+    if (!Array.isArray(localOptions[key])) {
+      throw new TypeError(`Invalid options.functions.${key}. Expected an array`);
+    }
+    const unknown = localOptions[key].filter((name) => !names.includes(name));
+    if (unknown.length > 0) {
+      throw new TypeError(
+        `Invalid options.functions.${key}. Unknown functions: ${unknown.join(',')}`
+      );
+    }
+  });
+
+  return definitions.filter(
+    (definition) =>
+      (!localOptions.include || localOptions.include.includes(definition.name)) &&
+      (!localOptions.exclude || !localOptions.exclude.includes(definition.name))
+  );
+};
+
+/**
+ * Check the expression does not call any of the functions that were not selected
+ * @access private
+ * @param {Object} expression - The JSONata Expression Object
+ * @param {Object[]} excluded - The function definitions that were not selected
+ *
+ * @throws Will throw an error with code X1020 if the expression calls an excluded function
+ */
+const checkExcludedFunctions = (expression, excluded) => {
+  if (excluded.length === 0) {
+    return;
+  }
+
+  const names = excluded.map((definition) => definition.name);
+  const call = jsonataAst
+    .functionCalls(expression.ast())
+    .find((functionCall) => names.includes(functionCall.name));
+
+  if (call) {
+    throw createError('X1020', { token: call.name, position: call.position });
+  }
+};
+
+/**
+ * The values of the onInvalid option
+ * @access private
+ * @type {String[]}
+ */
+const onInvalidValues = ['throw', 'undefined', 'collect'];
+
+/**
+ * Check the onInvalid option
+ * @access private
+ * @param {('throw'|'undefined'|'collect')} [onInvalid='throw'] - The onInvalid option
+ * @returns {String} The onInvalid option
+ *
+ * @throws {TypeError} onInvalid must be throw, undefined or collect
+ */
+const checkOnInvalid = (onInvalid = 'throw') => {
+  if (!onInvalidValues.includes(onInvalid)) {
+    throw new TypeError(
+      `Invalid options.onInvalid. Valid values: ${onInvalidValues.join(
+        ','
+      )}. Received: ${onInvalid}`
+    );
+  }
+  return onInvalid;
+};
+
+/**
+ * Record the failures of the functions for each evaluation, and add the failures function to the
+ * expression to return the failures of the last evaluation
+ * @access private
+ * @param {Object} expression - The JSONata Expression Object
+ * @param {Object[]} failures - The array the functions add the failures to
+ * @returns {Object} The JSONata Expression Object
+ */
+const collectFailures = (expression, failures) =>
+  wrapEvaluate(
+    expression,
+    (evaluate) => (input, bindings, callback) => {
+      failures.splice(0);
+      return evaluate(input, bindings, callback);
+    },
+    { failures: () => failures.map((failure) => ({ ...failure })) }
+  );
 
 /**
  * Return a JSONata expression object that includes the custom functions registered
@@ -8,19 +136,174 @@ const jsonataFunctions = require('./jsonata-functions');
  * @param {Object} options
  * @param {boolean} options.recover: attempt to recover on parse error
  * @param {Function} options.RegexEngine: RegEx class constructor to use
+ * @param {('all'|'none'|String[]|Object)} [options.functions='all'] The extended and plugin functions to register, an array is the list to include
+ * @param {String[]} [options.functions.include] The functions to include, all others are excluded
+ * @param {String[]} [options.functions.exclude] The functions to exclude
+ * @param {Object} [options.limits] Limits applied to each evaluation. See {@link module:jsonata-limits~applyLimits}
+ * @param {Number} [options.limits.timeoutMs] The maximum evaluation time in ms
+ * @param {Number} [options.limits.maxDepth] The maximum evaluation stack depth
+ * @param {Number} [options.limits.maxResultBytes] The maximum size of the result serialised as JSON
+ * @param {Object} [options.defaults] The defaults applied to every call of the extended functions in the expression
+ * @param {Object} [options.defaults.truncate] The default options for $truncate
+ * @param {Object} [options.defaults.htmltotext] The default options for $htmltotext
+ * @param {String} [options.defaults.uuidBase] The default base for the UUID functions
+ * @param {String} [options.defaults.locale] The default RFC5646 locale for $moment and $momentDuration
+ * @param {String} [options.defaults.timezone] The default IANA time zone for $moment
+ * @param {Number|String|Date|Function} [options.clock] The fixed time for $now(), $millis() and $moment(), as a timestamp in ms, date string or Date, or a function that returns one. See {@link module:jsonata-clock~applyClock}
+ * @param {('throw'|'undefined'|'collect')} [options.onInvalid='throw'] How the extended functions handle invalid input. undefined returns undefined from the function instead of throwing, collect also records the failure, returned by the failures() function of the expression
+ * @param {Object|Function} [options.messages] The translation tables for $t keyed by RFC5646 locale, or a function that returns the table for a locale. The keys $t does not find are returned by the missingMessages() function of the expression
  * @example <caption>Example using the extended JSONata as a dropin replacement for the standard {@link https://www.npmjs.com/package/jsonata|JSONata NPM}</caption>
  * // const jsonata = require('jsonata');
  * const jsonata = require('jsonata-extended');
  * const expr = jsonata('$htmltotext("<p>Leadership has a dark side; a &#34;leadership shadow&#34; that often creates an unknown; lurking fear.</p>")');
  * const result = expr.evaluate();
+ * @example <caption>Example limiting the extended functions available to the expression</caption>
+ * // throws
+ * // Error: Function $moment is not available in this expression
+ * const jsonata = require('jsonata-extended');
+ * const expr = jsonata('$moment()', { functions: { exclude: ['moment', 'momentDuration'] } });
+ * @example <caption>Example collecting the failures of the extended functions instead of throwing</caption>
+ * // returns
+ * // result = '1m5otdkthiyq143crwujacdqg'
+ * // failures = [{ function: 'shortenUuid', value: 'not-a-uuid', reason: 'Invalid UUID', code: 'X1001' }]
+ * const jsonata = require('jsonata-extended');
+ * const expr = jsonata('$map(ids, $shortenUuid)', { onInvalid: 'collect' });
+ * const result = expr.evaluate({ ids: ['1b49aa30-e719-11e6-9835-f723b46a2688', 'not-a-uuid'] });
+ * const failures = expr.failures();
+ * @example <caption>Example setting the defaults for every call in the expression</caption>
+ * // returns
+ * // result = '4NSMyX1VHYAbjBZyDbjWFR'
+ * const jsonata = require('jsonata-extended');
+ * const expr = jsonata('$shortenUuid(id)', { defaults: { uuidBase: 'base58' } });
+ * const result = expr.evaluate({ id: '1b49aa30-e719-11e6-9835-f723b46a2688' });
+ * @example <caption>Example translating with the messages tables, fr-CA falls back to fr</caption>
+ * // returns
+ * // result = '3 cours'
+ * const jsonata = require('jsonata-extended');
+ * const expr = jsonata('$t("course.count", "fr-CA", { "count": 3 })', {
+ *   messages: { fr: { course: { count: '{count, plural, one {# cours} other {# cours}}' } } },
+ * });
+ * const result = expr.evaluate();
  * @see {@link https://www.npmjs.com/package/jsonata|JSONata NPM}
+ * @throws {TypeError} options.defaults must be an object with valid values
+ * @throws {TypeError} options.clock must be or return a valid timestamp
+ * @throws {TypeError} options.messages must be an object of tables keyed by RFC5646 locale, or a function
+ * @throws Will throw an error if the expression calls a function excluded by options.functions
+ * @throws Will throw an error with code U1001, U1002 or U1003 on evaluation when a limit is exceeded
  * @returns {{evaluate: evaluate, assign: assign, registerFunction: registerFunction,
  *            ast: ast, errors: errors}} Evaluated expression
  */
 function jsonataExtended(expr, options) {
   const expression = jsonataOriginal(expr, options);
-  jsonataFunctions.registerWithJSONATA(expression);
-  return expression;
+  const definitions = [...jsonataFunctions.definitions, ...jsonataPlugins.definitions()];
+  const selected = selectFunctions(definitions, options && options.functions);
+
+  checkExcludedFunctions(
+    expression,
+    definitions.filter((definition) => !selected.includes(definition))
+  );
+
+  const onInvalid = checkOnInvalid(options && options.onInvalid);
+  const failures = [];
+  const defaults = jsonataFunctions.checkDefaults(options && options.defaults);
+  const catalog = jsonataTranslations.createCatalog(options && options.messages);
+  const missingMessages = [];
+  jsonataFunctions.registerDefinitions(expression, selected, {
+    onInvalid,
+    failures,
+    defaults,
+    catalog,
+    missingMessages,
+  });
+
+  if (onInvalid === 'collect') {
+    collectFailures(expression, failures);
+  }
+  jsonataTranslations.collectMissing(expression, missingMessages);
+  jsonataClock.applyClock(expression, options && options.clock);
+  return jsonataLimits.applyLimits(expression, options && options.limits);
 }
 
+/**
+ * Create a stream that compiles the expression once and applies it to each record of NDJSON or
+ * JSON array text
+ * @param {Object} expr - JSONata expression
+ * @param {Object} [options] - The options for {@link jsonataExtended} and {@link module:jsonata-stream~createTransformStream}
+ * @returns {Transform} The transform stream
+ */
+jsonataExtended.transformStream = (expr, options) =>
+  jsonataStream.createTransformStream(jsonataExtended(expr, options), options);
+
+/**
+ * Validate the expression without evaluating it, against the functions that would be registered
+ * @param {Object} expr - JSONata expression
+ * @param {Object} [options] - The options for {@link jsonataExtended}
+ * @param {('all'|'none'|String[]|Object)} [options.functions='all'] The extended and plugin functions that would be registered
+ * @param {String[]|Object} [options.bindings] The names of the variables, or the bindings object, that will be passed to evaluate
+ * @see {@link module:jsonata-validate~validate}
+ * @returns {Array<{severity: String, code: String, message: String, position: Number, token: String}>} The diagnostics, empty if the expression is valid
+ */
+jsonataExtended.validate = (expr, options) => {
+  const definitions = [...jsonataFunctions.definitions, ...jsonataPlugins.definitions()];
+  return jsonataValidate.validate(
+    expr,
+    selectFunctions(definitions, options && options.functions),
+    options
+  );
+};
+
+/**
+ * Get the metadata of the extended and plugin functions that would be registered, the same as
+ * $functions() returns within an expression
+ * @param {Object} [options] - The options for {@link jsonataExtended}
+ * @param {('all'|'none'|String[]|Object)} [options.functions='all'] The extended and plugin functions that would be registered
+ *
+ * @example <caption>Example listing the function names</caption>
+ * // returns
+ * // result = ['htmltotext', 'truncate']
+ * const jsonata = require('jsonata-extended');
+ * const result = jsonata.functions({ functions: ['htmltotext', 'truncate'] }).map((info) => info.name);
+ *
+ * @returns {Array<{name: String, signature: String, description: String, options: Object, examples: Object[]}>} The metadata for each function
+ */
+jsonataExtended.functions = (options) => {
+  const definitions = [...jsonataFunctions.definitions, ...jsonataPlugins.definitions()];
+  return selectFunctions(definitions, options && options.functions).map(
+    jsonataFunctions.functionInfo
+  );
+};
+
+/**
+ * Create a cache of compiled expressions, with least recently used eviction
+ * @param {Object} [options] - The options for {@link module:jsonata-cache~createCache}
+ * @param {Number} [options.maxSize=100] - The maximum number of expressions to cache
+ * @returns {{compile: Function, stats: Function, clear: Function}} The cache, compile has the same signature as {@link jsonataExtended}
+ */
+jsonataExtended.createCache = (options) =>
+  jsonataCache.createCache(jsonataExtended, {
+    ...options,
+    generation: jsonataPlugins.generation,
+  });
+
+/**
+ * Register a plugin so its functions are added to every expression created afterwards
+ * @see {@link module:jsonata-plugins~use}
+ */
+jsonataExtended.use = (plugin, options) => {
+  jsonataPlugins.use(plugin, options);
+  return jsonataExtended;
+};
+
+/**
+ * Remove a registered plugin
+ * @see {@link module:jsonata-plugins~unuse}
+ */
+jsonataExtended.unuse = jsonataPlugins.unuse;
+
+/**
+ * List the registered plugins
+ * @see {@link module:jsonata-plugins~list}
+ */
+jsonataExtended.plugins = jsonataPlugins.list;
+
 module.exports = jsonataExtended;
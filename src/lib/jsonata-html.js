@@ -0,0 +1,234 @@
+/**
+ * HTML aware truncation for JSONata expressions. Only the visible text is counted, the tags,
+ * entities and scripts are never split, and the tags left open are closed.
+ * @module jsonata-html
+ * @exports truncate
+ */
+
+/**
+ * The tokens of an HTML string, a comment, a script or style element with its content, a tag with
+ * the quoted attribute values, an entity or a single character of text
+ * @access private
+ * @type {RegExp}
+ */
+const tokenPattern =
+  /<!--[\s\S]*?(?:-->|$)|<![^<>]*>|<(script|style)\b(?:"[^"]*"|'[^']*'|[^'">])*>[\s\S]*?(?:<\/\1\s*>|$)|<\/?[A-Za-z][^\s/>]*(?:"[^"]*"|'[^']*'|[^'">])*>|&(?:#\d+|#x[\da-f]+|[a-z][a-z\d]*);|[\s\S]/giu;
+
+/**
+ * The elements without a closing tag
+ * @access private
+ * @type {String[]}
+ */
+const voidElements = [
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'param',
+  'source',
+  'track',
+  'wbr',
+];
+
+/**
+ * The block elements, an open p element is closed when one of them starts
+ * @access private
+ * @type {String[]}
+ */
+const blockElements = [
+  'address',
+  'article',
+  'aside',
+  'blockquote',
+  'dd',
+  'details',
+  'div',
+  'dl',
+  'dt',
+  'figcaption',
+  'figure',
+  'footer',
+  'form',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'header',
+  'li',
+  'main',
+  'nav',
+  'ol',
+  'p',
+  'pre',
+  'section',
+  'summary',
+  'table',
+  'td',
+  'th',
+  'tr',
+  'ul',
+];
+
+/**
+ * The elements closed when another element starts, such as li by the next li, with the elements
+ * that stop the search for an open element, such as ul for a list in a list
+ * @access private
+ * @type {Object<String, {closes: String[], scope: String[]}>}
+ */
+const impliedEnds = {
+  li: { closes: ['li'], scope: ['ul', 'ol'] },
+  dt: { closes: ['dt', 'dd'], scope: ['dl'] },
+  dd: { closes: ['dt', 'dd'], scope: ['dl'] },
+  tr: { closes: ['tr', 'td', 'th'], scope: ['table', 'thead', 'tbody', 'tfoot'] },
+  td: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+  th: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+  option: { closes: ['option'], scope: ['select', 'datalist'] },
+};
+
+/**
+ * The elements that stop the search for an open p element
+ * @access private
+ * @type {String[]}
+ */
+const paragraphScope = ['table', 'td', 'th', 'caption', 'button'];
+
+/**
+ * The named entities decoded for the wordbreaks
+ * @access private
+ * @type {Object<String, String>}
+ */
+const namedEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+/**
+ * Decode an entity to the character matched by the wordbreaks. The other named entities are a
+ * zero width joiner, so they are never a wordbreak.
+ * @access private
+ * @param {String} entity - The entity, such as &amp;amp; or &amp;#34;
+ * @returns {String} The character
+ */
+const decode = (entity) => {
+  const name = entity.slice(1, -1).toLowerCase();
+  const code = name.startsWith('#x') ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+  if (name.startsWith('#') && code > 0 && code <= 0x10ffff) {
+    return String.fromCodePoint(code);
+  }
+  return namedEntities[name] || '\u200d';
+};
+
+/**
+ * Split the HTML to the tokens, the tags with the lower case name, and the visible text with the
+ * character of each text character or entity
+ * @access private
+ * @param {String} value - The HTML
+ * @returns {Object[]} The tokens, with the text of the token
+ */
+const tokenize = (value) =>
+  Array.from(value.matchAll(tokenPattern), ([text]) => {
+    if (text.startsWith('<!') || /^<(script|style)\b/i.test(text)) {
+      return { type: 'comment', text };
+    }
+    const tag = /^<(\/?)([A-Za-z][^\s/>]*)/.exec(text);
+    if (tag) {
+      const name = tag[2].toLowerCase();
+      return {
+        type: 'tag',
+        text,
+        name,
+        closing: tag[1] === '/',
+        selfClosing: voidElements.includes(name) || text.endsWith('/>'),
+      };
+    }
+    return { type: 'text', text, char: text.length > 1 ? decode(text) : text };
+  });
+
+/**
+ * Close the innermost open element with one of the names, and the elements opened after it, unless
+ * an element in the scope is found first
+ * @access private
+ * @param {String[]} open - The names of the open elements, the outermost first
+ * @param {String[]} names - The names of the elements to close
+ * @param {String[]} scope - The names of the elements that stop the search
+ */
+const closeOpen = (open, names, scope) => {
+  for (let index = open.length - 1; index >= 0 && !scope.includes(open[index]); index -= 1) {
+    if (names.includes(open[index])) {
+      open.splice(index);
+      return;
+    }
+  }
+};
+
+/**
+ * Get the closing tags of the open elements, the innermost first
+ * @access private
+ * @param {String[]} names - The names of the open elements, the outermost first
+ * @returns {String} The closing tags
+ */
+const closingTags = (names) =>
+  [...names]
+    .reverse()
+    .map((name) => `</${name}>`)
+    .join('');
+
+/**
+ * Truncate the HTML to the length of the visible text. The tags, entities and scripts are not
+ * counted and never split, the elements left open are closed, and the omission is placed after the
+ * last visible character, so &lt;p&gt;text&lt;/p&gt; is truncated to &lt;p&gt;te...&lt;/p&gt;.
+ * @access private
+ * @param {String} value - The HTML
+ * @param {Number} length - The maximum length of the visible text, with the omission
+ * @param {String} omission - The HTML to indicate text is omitted
+ * @param {Function} wordbreakIndex - Get the index of the last wordbreak in the visible characters, or -1
+ * @returns {String} The truncated HTML, or the value if the visible text is not longer than the length
+ */
+const truncate = (value, length, omission, wordbreakIndex) => {
+  const tokens = tokenize(value);
+  const visible = tokens.filter((token) => token.type === 'text');
+
+  if (visible.length <= length) {
+    return value;
+  }
+
+  const omissionLength = tokenize(omission).filter((token) => token.type === 'text').length;
+  const kept = visible.slice(0, Math.max(length - omissionLength, 0));
+  const lastMatch = wordbreakIndex(kept.map((token) => token.char));
+  const count = lastMatch !== -1 ? lastMatch : kept.length;
+
+  // The tags after the last visible character are dropped, so an element is not left empty
+  const end = count > 0 ? tokens.indexOf(kept[count - 1]) + 1 : tokens.indexOf(visible[0]);
+  const output = tokens.slice(0, end);
+
+  const open = [];
+  output.forEach((token) => {
+    if (token.type !== 'tag' || token.selfClosing) {
+      return;
+    }
+    if (token.closing) {
+      // A closing tag also closes the elements opened after its element
+      closeOpen(open, [token.name], []);
+      return;
+    }
+    // The elements closed by the start of the element, without a closing tag
+    if (blockElements.includes(token.name)) {
+      closeOpen(open, ['p'], paragraphScope);
+    }
+    if (Object.prototype.hasOwnProperty.call(impliedEnds, token.name)) {
+      closeOpen(open, impliedEnds[token.name].closes, impliedEnds[token.name].scope);
+    }
+    open.push(token.name);
+  });
+
+  return `${output.map((token) => token.text).join('')}${omission}${closingTags(open)}`;
+};
+
+module.exports = {
+  truncate,
+};
@@ -0,0 +1,123 @@
+/**
+ * Evaluation limits for JSONata expressions
+ * @module jsonata-limits
+ * @exports applyLimits
+ */
+const { createError } = require('./jsonata-errors');
+const { wrapEvaluate } = require('./jsonata-expression');
+
+/**
+ * Get the size in bytes of the result when serialised as JSON
+ * @access private
+ * @param {*} result - The expression result
+ * @returns {Number} The size in bytes, 0 for undefined
+ */
+const resultSize = (result) => {
+  const json = JSON.stringify(result);
+  return typeof json === 'undefined' ? 0 : new TextEncoder().encode(json).length;
+};
+
+/**
+ * Protect the process/browser from a runaway expression by limiting the evaluation time, the
+ * depth of the evaluation stack and the size of the result.
+ * The limits apply to each call of evaluate.
+ * @access private
+ * @param {Object} expression - The JSONata Expression Object {@link https://www.npmjs.com/package/jsonata|JSONata NPM}
+ * @param {Object} [limits] - The limits, no limits are applied if undefined
+ * @param {Number} [limits.timeoutMs] - The maximum evaluation time in ms, throws U1002 when exceeded
+ * @param {Number} [limits.maxDepth] - The maximum evaluation stack depth, throws U1001 when exceeded
+ * @param {Number} [limits.maxResultBytes] - The maximum size of the result serialised as JSON, throws U1003 when exceeded
+ *
+ * @example <caption>Example limiting an infinite loop to 1 second</caption>
+ * // throws
+ * // Error: Expression evaluation timeout: Check for infinite loop. Timeout: 1000ms
+ * const jsonata = require('jsonata-extended');
+ * const expr = jsonata('( $f := function() { $f() }; $f() )', { limits: { timeoutMs: 1000 } });
+ * const result = expr.evaluate();
+ *
+ * @throws {TypeError} the limits must be positive numbers
+ * @returns {Object} The JSONata Expression Object
+ */
+const applyLimits = (expression, limits) => {
+  if (typeof limits === 'undefined') {
+    return expression;
+  }
+
+  if (typeof limits !== 'object' || limits === null) {
+    throw new TypeError(`Invalid options.limits. Expected an object. Received: ${limits}`);
+  }
+
+  ['timeoutMs', 'maxDepth', 'maxResultBytes'].forEach((key) => {
+    if (
+      typeof limits[key] !== 'undefined' &&
+      (typeof limits[key] !== 'number' || Number.isNaN(limits[key]) || limits[key] <= 0)
+    ) {
+      throw new TypeError(
+        `Invalid options.limits.${key}. Expected a positive number. Received: ${limits[key]}`
+      );
+    }
+  });
+
+  const { timeoutMs, maxDepth, maxResultBytes } = limits;
+  let depth = 0;
+  let start = 0;
+
+  const checkRunaway = () => {
+    if (maxDepth && depth > maxDepth) {
+      // stack too deep
+      throw createError('U1001', { value: maxDepth });
+    }
+    if (timeoutMs && Date.now() - start > timeoutMs) {
+      // expression has run for too long
+      throw createError('U1002', { value: timeoutMs });
+    }
+  };
+
+  const checkResult = (result) => {
+    if (maxResultBytes && resultSize(result) > maxResultBytes) {
+      throw createError('U1003', { value: maxResultBytes });
+    }
+    return result;
+  };
+
+  if (timeoutMs || maxDepth) {
+    // register callbacks
+    expression.assign('__evaluate_entry', () => {
+      depth += 1;
+      checkRunaway();
+    });
+
+    expression.assign('__evaluate_exit', () => {
+      depth -= 1;
+      checkRunaway();
+    });
+  }
+
+  return wrapEvaluate(expression, (evaluate) => (input, bindings, callback) => {
+    depth = 0;
+    start = Date.now();
+
+    if (typeof callback === 'function') {
+      return evaluate(input, bindings, (err, result) => {
+        if (err) {
+          callback(err, result);
+          return;
+        }
+        let checked;
+        try {
+          checked = checkResult(result);
+        } catch (error) {
+          callback(error, null);
+          return;
+        }
+        callback(null, checked);
+      });
+    }
+
+    return checkResult(evaluate(input, bindings));
+  });
+};
+
+module.exports = {
+  applyLimits,
+};
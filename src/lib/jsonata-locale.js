@@ -0,0 +1,318 @@
+/**
+ * Locale negotiation for JSONata expressions, RFC 4647 lookup and filtering of RFC 5646 language
+ * tags, with the likely subtags of Intl.Locale so zh-CN matches zh-Hans
+ * @module jsonata-locale
+ * @exports parsePreferred
+ * @exports lookup
+ * @exports filter
+ * @exports parseTag
+ * @exports displayNames
+ * @exports fallbacks
+ */
+const LanguageTag = require('rfc5646');
+const { createError } = require('./jsonata-errors');
+
+/**
+ * The scripts written right to left
+ * @access private
+ * @type {String[]}
+ */
+const rtlScripts = [
+  'Adlm',
+  'Arab',
+  'Hebr',
+  'Mand',
+  'Mend',
+  'Nkoo',
+  'Rohg',
+  'Samr',
+  'Syrc',
+  'Thaa',
+  'Yezi',
+];
+
+/**
+ * Get a language tag with - separators, as en_US is common in data
+ * @access private
+ * @param {*} tag - The language tag
+ * @returns {String|Void} The language tag, or undefined if it is not a string
+ */
+const cleanTag = (tag) => (typeof tag === 'string' ? tag.trim().replace(/_/g, '-') : undefined);
+
+/**
+ * Check a language range is an RFC 5646 language tag or the wildcard *
+ * @access private
+ * @param {String} range - The language range
+ * @returns {String} The language range, with - separators
+ *
+ * @throws Will throw an error with code X1004 if the range is not an RFC 5646 language tag
+ */
+const checkRange = (range) => {
+  if (range === '*') {
+    return range;
+  }
+
+  const langTag = new LanguageTag(range);
+  if (langTag.invalid || typeof langTag.language === 'undefined') {
+    throw createError('X1004', { value: range });
+  }
+  return cleanTag(range);
+};
+
+/**
+ * Get the preferred locales in order, from an array or an Accept-Language style string such as
+ * fr-CA, fr;q=0.8, en;q=0.5
+ * @access private
+ * @param {String|String[]} preferred - The preferred locales
+ * @returns {String[]} The language ranges, most preferred first
+ *
+ * @throws Will throw an error with code X1004 if a locale is not an RFC 5646 language tag
+ */
+const parsePreferred = (preferred) => {
+  const items = Array.isArray(preferred) ? preferred : `${preferred}`.split(',');
+
+  return items
+    .map((item, index) => {
+      const [range, ...params] = `${item}`.split(';').map((part) => part.trim());
+      const quality = params.find((param) => /^q=/i.test(param));
+      return { range, index, q: quality ? Number(quality.slice(2)) : 1 };
+    })
+    .filter((item) => item.range && item.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map((item) => checkRange(item.range));
+};
+
+/**
+ * Get the likely language, script and region of a language tag, such as zh-Hans-CN for zh-CN
+ * @access private
+ * @param {String} tag - The language tag
+ * @returns {{language: String, script: String, region: String, tag: String}|Void} The likely subtags, undefined if not known to Intl
+ */
+const likely = (tag) => {
+  try {
+    const locale = new Intl.Locale(tag).maximize();
+    return {
+      language: locale.language,
+      script: locale.script,
+      region: locale.region,
+      tag: locale.baseName,
+    };
+  } catch (err) {
+    return undefined;
+  }
+};
+
+/**
+ * Get the truncations of a language range for RFC 4647 lookup, longest first. A singleton is
+ * removed with the subtag that follows it
+ * @access private
+ * @param {String} range - The language range, such as zh-Hant-CN-x-private
+ * @returns {String[]} The truncations, such as zh-Hant-CN-x-private, zh-Hant-CN, zh-Hant and zh
+ */
+const truncations = (range) => {
+  const subtags = range.split('-');
+  const result = [];
+  while (subtags.length > 0) {
+    result.push(subtags.join('-'));
+    subtags.pop();
+    if (subtags.length > 0 && subtags[subtags.length - 1].length === 1) {
+      subtags.pop();
+    }
+  }
+  return result;
+};
+
+/**
+ * Find the first language tag of the available tags for a language range, by RFC 4647 lookup, then
+ * the same likely subtags, then the same likely language and script
+ * @access private
+ * @param {String} range - The language range
+ * @param {Array<String|Void>} tags - The available language tags with - separators, in order
+ * @returns {Number} The index of the tag, -1 if none match
+ */
+const match = (range, tags) => {
+  const lowerTags = tags.map((tag) => tag && tag.toLowerCase());
+
+  const exact = truncations(range.toLowerCase())
+    .map((truncation) => lowerTags.indexOf(truncation))
+    .find((index) => index !== -1);
+  if (typeof exact !== 'undefined') {
+    return exact;
+  }
+
+  const rangeLikely = likely(range);
+  if (!rangeLikely) {
+    return -1;
+  }
+
+  const tagsLikely = tags.map((tag) => tag && likely(tag));
+  const sameTag = tagsLikely.findIndex((item) => item && item.tag === rangeLikely.tag);
+  if (sameTag !== -1) {
+    return sameTag;
+  }
+
+  return tagsLikely.findIndex(
+    (item) => item && item.language === rangeLikely.language && item.script === rangeLikely.script
+  );
+};
+
+/**
+ * Find the best language tag for the preferred language ranges, RFC 4647 lookup extended with the
+ * likely subtags. The ranges are tried in order, and the wildcard * is ignored
+ * @access private
+ * @param {Array<*>} tags - The available language tags, in order
+ * @param {String[]} ranges - The language ranges, most preferred first
+ * @returns {Number} The index of the tag, -1 if none match
+ */
+const lookup = (tags, ranges) => {
+  const cleanTags = tags.map(cleanTag);
+  let found = -1;
+  ranges
+    .filter((range) => range !== '*')
+    .some((range) => {
+      found = match(range, cleanTags);
+      return found !== -1;
+    });
+  return found;
+};
+
+/**
+ * Find the language tags that match the preferred language ranges by RFC 4647 basic filtering. A
+ * range matches a tag that is the same, or starts with the range followed by -, and the wildcard *
+ * matches every tag
+ * @access private
+ * @param {Array<*>} tags - The available language tags, in order
+ * @param {String[]} ranges - The language ranges, most preferred first
+ * @returns {Number[]} The indexes of the tags, in the order of the ranges then the tags
+ */
+const filter = (tags, ranges) => {
+  const indexes = [];
+  ranges.forEach((range) => {
+    const lowerRange = range.toLowerCase();
+    tags.map(cleanTag).forEach((tag, index) => {
+      if (typeof tag === 'undefined' || indexes.includes(index)) {
+        return;
+      }
+      const lowerTag = tag.toLowerCase();
+      if (range === '*' || lowerTag === lowerRange || lowerTag.startsWith(`${lowerRange}-`)) {
+        indexes.push(index);
+      }
+    });
+  });
+  return indexes;
+};
+
+/**
+ * Parse the subtags of a language tag, with the tag canonicalised by Intl, such as zh-Hant-TW for
+ * ZH-hant-tw
+ * @access private
+ * @param {String} tag - The RFC 5646 language tag
+ * @returns {{canonical: String, language: String, script: String|null, region: String|null, variants: String[], extensions: Object<String, String>, direction: String}} The subtags, the extensions are keyed by the singleton, and the direction is ltr or rtl for the likely script
+ *
+ * @throws Will throw an error with code X1004 if the value is not an RFC 5646 language tag
+ */
+const parseTag = (tag) => {
+  let canonical;
+  try {
+    [canonical] = Intl.getCanonicalLocales(cleanTag(tag));
+  } catch (err) {
+    throw createError('X1004', { value: tag });
+  }
+  if (typeof canonical === 'undefined') {
+    throw createError('X1004', { value: tag });
+  }
+
+  const locale = new Intl.Locale(canonical);
+  const extensions = {};
+  const variants = [];
+
+  // The subtags after the language, script and region are the variants, until the first singleton
+  let singleton;
+  canonical
+    .split('-')
+    .slice(1 + [locale.script, locale.region].filter(Boolean).length)
+    .forEach((subtag) => {
+      if (subtag.length === 1) {
+        singleton = subtag;
+        extensions[singleton] = [];
+      } else if (singleton) {
+        extensions[singleton].push(subtag);
+      } else {
+        variants.push(subtag);
+      }
+    });
+  Object.keys(extensions).forEach((key) => {
+    extensions[key] = extensions[key].join('-');
+  });
+
+  return {
+    canonical,
+    language: locale.language,
+    script: locale.script || null,
+    region: locale.region || null,
+    variants,
+    extensions,
+    direction: rtlScripts.includes(locale.maximize().script) ? 'rtl' : 'ltr',
+  };
+};
+
+/**
+ * Get the names of a language tag and its subtags in the display locale, with Intl.DisplayNames
+ * @access private
+ * @param {{canonical: String, language: String, script: String|null, region: String|null}} subtags - The subtags from parseTag
+ * @param {String} displayLocale - The RFC 5646 locale of the names
+ * @returns {{locale: String, name: String, language: String, script: String|null, region: String|null}} The names, such as allemand (Suisse) for de-CH in fr
+ *
+ * @throws Will throw an error with code X1004 if the display locale is not an RFC 5646 language tag
+ */
+const displayNames = (subtags, displayLocale) => {
+  let names;
+  try {
+    names = ['language', 'script', 'region'].reduce(
+      (result, type) => ({
+        ...result,
+        [type]: new Intl.DisplayNames(cleanTag(displayLocale), { type, fallback: 'none' }),
+      }),
+      {}
+    );
+  } catch (err) {
+    throw createError('X1004', { value: displayLocale });
+  }
+
+  const { canonical, language, script, region } = subtags;
+  const base = [language, script, region].filter(Boolean).join('-');
+
+  // The variants do not have names, so the name falls back to the language, script and region
+  const name =
+    names.language.of(new Intl.Locale(canonical).baseName) ||
+    names.language.of(base) ||
+    names.language.of(language);
+
+  return {
+    locale: names.language.resolvedOptions().locale,
+    name: name || null,
+    language: names.language.of(language) || null,
+    script: script ? names.script.of(script) || null : null,
+    region: region ? names.region.of(region) || null : null,
+  };
+};
+
+/**
+ * Get the fallback chain of a language tag, the canonical tag and its truncations, such as fr-CA
+ * and fr for fr_ca
+ * @access private
+ * @param {String} tag - The RFC 5646 language tag
+ * @returns {String[]} The canonical language tags, longest first
+ *
+ * @throws Will throw an error with code X1004 if the value is not an RFC 5646 language tag
+ */
+const fallbacks = (tag) => truncations(parseTag(tag).canonical);
+
+module.exports = {
+  parsePreferred,
+  lookup,
+  filter,
+  parseTag,
+  displayNames,
+  fallbacks,
+};
@@ -0,0 +1,318 @@
+/**
+ * ICU MessageFormat for JSONata expressions, with the plural, selectordinal, select, number, date
+ * and time arguments. The plural rules are the CLDR rules of Intl.PluralRules, so every locale
+ * known to the runtime is supported.
+ * @module jsonata-message
+ * @exports parse
+ * @exports format
+ */
+const _ = require('lodash');
+const { createError } = require('./jsonata-errors');
+const jsonataDatetime = require('./jsonata-datetime');
+
+/**
+ * The date and time styles of Intl.DateTimeFormat
+ * @access private
+ * @type {String[]}
+ */
+const dateTimeStyles = ['short', 'medium', 'long', 'full'];
+
+/**
+ * The number skeleton stems supported, mapped to the Intl.NumberFormat options
+ * @access private
+ * @type {Object<String, Object>}
+ */
+const skeletonStems = {
+  percent: { style: 'percent' },
+  'compact-short': { notation: 'compact', compactDisplay: 'short' },
+  'compact-long': { notation: 'compact', compactDisplay: 'long' },
+  'precision-integer': { maximumFractionDigits: 0 },
+  'group-off': { useGrouping: false },
+};
+
+/**
+ * Get the Intl.NumberFormat options of a number style, integer, percent or a number skeleton
+ * starting with ::, such as ::currency/EUR or ::compact-short .0#
+ * @access private
+ * @param {String} [style] - The number style
+ * @returns {Object|Void} The Intl.NumberFormat options, or undefined if the style is not supported
+ */
+const numberOptions = (style) => {
+  if (typeof style === 'undefined') {
+    return {};
+  }
+  if (style === 'integer') {
+    return { maximumFractionDigits: 0 };
+  }
+  if (style === 'percent') {
+    return { style: 'percent' };
+  }
+  if (!style.startsWith('::')) {
+    return undefined;
+  }
+
+  const tokens = style.slice(2).trim().split(/\s+/);
+  const options = {};
+  const supported = tokens.every((token) => {
+    const currency = /^currency\/([A-Za-z]{3})$/.exec(token);
+    const fraction = /^\.(0*)(#*)$/.exec(token);
+    if (Object.prototype.hasOwnProperty.call(skeletonStems, token)) {
+      Object.assign(options, skeletonStems[token]);
+    } else if (currency) {
+      Object.assign(options, { style: 'currency', currency: currency[1].toUpperCase() });
+    } else if (fraction) {
+      Object.assign(options, {
+        minimumFractionDigits: fraction[1].length,
+        maximumFractionDigits: fraction[1].length + fraction[2].length,
+      });
+    } else {
+      return false;
+    }
+    return true;
+  });
+
+  return supported ? options : undefined;
+};
+
+/**
+ * Parse an ICU message to the literal text and arguments
+ * @access private
+ * @param {String} message - The ICU message, such as {count, plural, one {# course} other {# courses}}
+ * @returns {Array<String|Object>} The parts, the text and the arguments
+ *
+ * @throws Will throw an error with code X1018 if the message is not a valid ICU message
+ */
+const parse = (message) => {
+  let pos = 0;
+
+  const fail = (reason) => {
+    throw createError('X1018', { value: message, reason, position: pos });
+  };
+
+  const skipSpace = () => {
+    while (pos < message.length && /\s/.test(message[pos])) {
+      pos += 1;
+    }
+  };
+
+  const readUntil = (pattern) => {
+    const start = pos;
+    while (pos < message.length && !pattern.test(message[pos])) {
+      pos += 1;
+    }
+    return message.slice(start, pos);
+  };
+
+  const expect = (char) => {
+    if (message[pos] !== char) {
+      fail(`Expected ${char}`);
+    }
+    pos += 1;
+  };
+
+  let parseArgument;
+
+  // The text and arguments until the closing brace of a sub-message, or the end of the message.
+  // An apostrophe quotes the braces, and # in a plural, and two apostrophes are an apostrophe.
+  const parseParts = (inPlural) => {
+    const parts = [];
+    let text = '';
+    const flush = () => {
+      if (text) {
+        parts.push(text);
+        text = '';
+      }
+    };
+
+    while (pos < message.length && message[pos] !== '}') {
+      const char = message[pos];
+      const next = message[pos + 1];
+      if (char === "'" && next === "'") {
+        text += "'";
+        pos += 2;
+      } else if (char === "'" && (next === '{' || next === '}' || (inPlural && next === '#'))) {
+        pos += 1;
+        while (pos < message.length && !(message[pos] === "'" && message[pos + 1] !== "'")) {
+          text += message[pos];
+          pos += message[pos] === "'" ? 2 : 1;
+        }
+        pos += 1;
+      } else if (char === '{') {
+        flush();
+        parts.push(parseArgument(inPlural));
+      } else if (inPlural && char === '#') {
+        flush();
+        parts.push({ type: 'pound' });
+        pos += 1;
+      } else {
+        text += char;
+        pos += 1;
+      }
+    }
+
+    flush();
+    return parts;
+  };
+
+  const parseOptions = (type, inPlural) => {
+    const options = {};
+    let offset = 0;
+
+    skipSpace();
+    const offsetMatch = /^offset:\s*(\d+)/.exec(message.slice(pos));
+    if (type === 'plural' && offsetMatch) {
+      offset = Number(offsetMatch[1]);
+      pos += offsetMatch[0].length;
+    }
+
+    skipSpace();
+    while (pos < message.length && message[pos] !== '}') {
+      const selector = readUntil(/[\s{}]/);
+      if (!selector) {
+        fail('Expected a selector');
+      }
+      skipSpace();
+      expect('{');
+      options[selector] = parseParts(type === 'select' ? inPlural : true);
+      expect('}');
+      skipSpace();
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(options, 'other')) {
+      fail('Expected an other option');
+    }
+    return { options, offset };
+  };
+
+  parseArgument = (inPlural) => {
+    pos += 1;
+    skipSpace();
+    const name = readUntil(/[\s,{}]/);
+    if (!name) {
+      fail('Expected an argument name');
+    }
+    skipSpace();
+
+    const argument = { type: 'argument', name };
+    if (message[pos] === ',') {
+      pos += 1;
+      skipSpace();
+      argument.format = readUntil(/[\s,{}]/);
+      skipSpace();
+
+      if (['plural', 'selectordinal', 'select'].includes(argument.format)) {
+        expect(',');
+        Object.assign(argument, parseOptions(argument.format, inPlural));
+      } else if (['number', 'date', 'time'].includes(argument.format)) {
+        if (message[pos] === ',') {
+          pos += 1;
+          argument.style = readUntil(/[{}]/).trim();
+        }
+        const valid =
+          argument.format === 'number'
+            ? typeof numberOptions(argument.style) !== 'undefined'
+            : typeof argument.style === 'undefined' || dateTimeStyles.includes(argument.style);
+        if (!valid) {
+          fail(`Unknown ${argument.format} style ${argument.style}`);
+        }
+      } else {
+        fail(`Unknown argument type ${argument.format}`);
+      }
+    }
+
+    expect('}');
+    return argument;
+  };
+
+  const parts = parseParts(false);
+  if (pos < message.length) {
+    fail('Unexpected }');
+  }
+  return parts;
+};
+
+/**
+ * Get the number value of an argument
+ * @access private
+ * @param {Object} argument - The parsed argument
+ * @param {*} value - The value of the argument
+ * @returns {Number} The number
+ *
+ * @throws Will throw an error with code X1019 if the value is not a number
+ */
+const toNumber = (argument, value) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw createError('X1019', { value, argument: argument.name });
+  }
+  return value;
+};
+
+/**
+ * Format the parsed message with the values of the arguments
+ * @access private
+ * @param {Array<String|Object>} parts - The parts from parse
+ * @param {Object} params - The values of the arguments, an argument name can be a path such as course.title
+ * @param {String} locale - The RFC5646 locale for the plural rules, numbers and dates
+ * @param {String} timeZone - The IANA time zone for the dates and times
+ * @param {Number} [pound] - The value of # in a plural, less the offset
+ * @returns {String} The formatted message
+ *
+ * @throws Will throw an error with code X1019 if an argument is missing or not the expected type
+ * @throws Will throw an error with code X1008 if a date or time argument is not a valid date/time
+ */
+const format = (parts, params, locale, timeZone, pound) =>
+  parts
+    .map((part) => {
+      if (typeof part === 'string') {
+        return part;
+      }
+      if (part.type === 'pound') {
+        return new Intl.NumberFormat(locale).format(pound);
+      }
+
+      const value = _.get(params, part.name);
+      if (typeof value === 'undefined') {
+        throw createError('X1019', { value, argument: part.name });
+      }
+
+      switch (part.format) {
+        case 'number':
+          return new Intl.NumberFormat(locale, numberOptions(part.style)).format(
+            toNumber(part, value)
+          );
+        case 'date':
+          return new Intl.DateTimeFormat(locale, {
+            dateStyle: part.style || 'medium',
+            timeZone,
+          }).format(jsonataDatetime.toTimestamp(value, timeZone));
+        case 'time':
+          return new Intl.DateTimeFormat(locale, {
+            timeStyle: part.style || 'medium',
+            timeZone,
+          }).format(jsonataDatetime.toTimestamp(value, timeZone));
+        case 'plural':
+        case 'selectordinal': {
+          const number = toNumber(part, value);
+          const exact = part.options[`=${number}`];
+          const category = new Intl.PluralRules(locale, {
+            type: part.format === 'plural' ? 'cardinal' : 'ordinal',
+          }).select(number - part.offset);
+          const selected = exact || part.options[category] || part.options.other;
+          return format(selected, params, locale, timeZone, number - part.offset);
+        }
+        case 'select': {
+          const selected = part.options[`${value}`] || part.options.other;
+          return format(selected, params, locale, timeZone, pound);
+        }
+        default:
+          return typeof value === 'number'
+            ? new Intl.NumberFormat(locale).format(value)
+            : `${value}`;
+      }
+    })
+    .join('');
+
+module.exports = {
+  parse,
+  format,
+};
@@ -0,0 +1,116 @@
+/**
+ * Locale aware formatting and parsing of numbers for JSONata expressions, with the grouping,
+ * decimal separator and digits of the locale from Intl.NumberFormat
+ * @module jsonata-number
+ * @exports format
+ * @exports parse
+ */
+const { createError } = require('./jsonata-errors');
+
+/**
+ * The characters used as a grouping space, some locales use a no-break space or narrow no-break
+ * space, but data often has a plain space
+ * @access private
+ * @type {RegExp}
+ */
+const spaces = /[\s\u00a0\u202f]/g;
+
+/**
+ * The bidirectional marks some locales add around the sign
+ * @access private
+ * @type {RegExp}
+ */
+const marks = /[\u061c\u200e\u200f]/g;
+
+/**
+ * Create the number format for the locale
+ * @access private
+ * @param {String} locale - The RFC5646 locale
+ * @param {Object} [options] - The Intl.NumberFormat options
+ * @returns {Intl.NumberFormat} The number format
+ *
+ * @throws Will throw an error with code X1004 if the locale is not an RFC5646 tag
+ */
+const numberFormat = (locale, options) => {
+  try {
+    Intl.getCanonicalLocales(locale);
+  } catch (err) {
+    throw createError('X1004', { value: locale });
+  }
+  return new Intl.NumberFormat(locale, options);
+};
+
+/**
+ * Get the separators, minus sign and digits of the locale
+ * @access private
+ * @param {String} locale - The RFC5646 locale
+ * @returns {{group: String, decimal: String, minusSign: String, digits: String[]}} The symbols, the digits are 0 to 9
+ *
+ * @throws Will throw an error with code X1004 if the locale is not an RFC5646 tag
+ */
+const symbols = (locale) => {
+  const parts = numberFormat(locale).formatToParts(-12345.6);
+  const part = (type) => parts.find((item) => item.type === type).value;
+  const digitFormat = numberFormat(locale, { useGrouping: false });
+
+  return {
+    group: part('group'),
+    decimal: part('decimal'),
+    minusSign: part('minusSign'),
+    digits: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9].map((digit) => digitFormat.format(digit)),
+  };
+};
+
+/**
+ * Format the number for the locale with Intl.NumberFormat
+ * @access private
+ * @param {Number} value - The number
+ * @param {String} locale - The RFC5646 locale
+ * @param {Object} [options] - The Intl.NumberFormat options
+ * @returns {String} The formatted number
+ *
+ * @throws Will throw an error with code X1004 if the locale is not an RFC5646 tag
+ */
+const format = (value, locale, options) => numberFormat(locale, options).format(value);
+
+/**
+ * Parse a number formatted for the locale, such as 1.234,56 for de-DE. The grouping separators are
+ * removed without checking they are in the right place, and any space is accepted for a grouping
+ * that is a space.
+ * @access private
+ * @param {String} value - The formatted number
+ * @param {String} locale - The RFC5646 locale
+ * @returns {Number} The number
+ *
+ * @throws Will throw an error with code X1017 if the value is not a number for the locale
+ * @throws Will throw an error with code X1004 if the locale is not an RFC5646 tag
+ */
+const parse = (value, locale) => {
+  const { group, decimal, minusSign, digits } = symbols(locale);
+  const [integer, fraction, ...rest] = `${value}`.replace(marks, '').trim().split(decimal);
+
+  // The grouping separators are only removed before the decimal separator
+  const unGrouped = /^[\s\u00a0\u202f]$/.test(group)
+    ? integer.replace(spaces, '')
+    : integer.split(group).join('');
+  const text = [unGrouped, ...(typeof fraction === 'undefined' ? [] : ['.', fraction])]
+    .join('')
+    .replace(/[^.]/gu, (char) => {
+      if (char === minusSign || char === '\u2212') {
+        return '-';
+      }
+      const digit = digits.indexOf(char);
+      return digit === -1 ? char : `${digit}`;
+    });
+
+  if (rest.length > 0 || !/^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i.test(text)) {
+    throw createError('X1017', { value, locale });
+  }
+
+  return Number(text);
+};
+
+module.exports = {
+  format,
+  parse,
+};
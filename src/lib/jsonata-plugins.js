@@ -0,0 +1,220 @@
+/**
+ * Plugin registry for JSONata Extended
+ * @module jsonata-plugins
+ * @exports use
+ * @exports isNativeFunction
+ * @exports unuse
+ * @exports list
+ * @exports definitions
+ * @exports generation
+ */
+const jsonataOriginal = require('jsonata');
+const jsonataFunctions = require('./jsonata-functions');
+
+/**
+ * The registered plugins, in the order they were registered
+ * @access private
+ * @type {Object[]}
+ */
+const plugins = [];
+
+/**
+ * Incremented each time the registered plugins change
+ * @access private
+ * @type {Number}
+ */
+let pluginsGeneration = 0;
+
+/**
+ * Valid names for plugins, namespaces and functions
+ * @access private
+ * @type {RegExp}
+ */
+const validName = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Check if the name is a native JSONata function, such as $string or $now
+ * @access private
+ * @param {String} name - The function name without the leading $
+ * @returns {Boolean} True if the name is bound by JSONata itself
+ */
+const isNativeFunction = (name) => typeof jsonataOriginal(`$${name}`).evaluate() !== 'undefined';
+
+/**
+ * Get the names of all the functions currently registered, built-in and from plugins
+ * @access private
+ * @returns {Map<String, String>} Map of function name to the plugin name that owns it
+ */
+const registeredNames = () => {
+  const names = new Map();
+  jsonataFunctions.definitions.forEach((definition) => {
+    names.set(definition.name, 'jsonata-extended');
+  });
+  plugins.forEach((plugin) => {
+    plugin.functions.forEach((definition) => {
+      names.set(definition.name, plugin.name);
+    });
+  });
+  return names;
+};
+
+/**
+ * Register a plugin so its functions are added to every JSONata Extended expression created afterwards
+ * @access private
+ * @param {Object} plugin - The plugin
+ * @param {String} plugin.name - The unique name of the plugin
+ * @param {String} [plugin.namespace] - Prefix for the function names, the function foo in namespace acme is registered as $acme_foo
+ * @param {Object[]} plugin.functions - The functions to register
+ * @param {String} plugin.functions[].name - The function name, without the leading $
+ * @param {Function} plugin.functions[].implementation - The function implementation
+ * @param {String} [plugin.functions[].signature] - The JSONata function signature {@link https://docs.jsonata.org/embedding-extending#function-signature-syntax|JSONata Function Signatures}
+ * @param {Boolean} [plugin.functions[].vectorise] - Call the implementation for each item when the first argument is an array
+ * @param {String} [plugin.functions[].description] - Description of the function
+ * @param {Array<{expression: String, result: *}>} [plugin.functions[].examples] - Example expressions using the function, and their results
+ * @param {Object} [plugin.functions[].options] - The keys accepted in the options object argument, mapped to the type or {type, description}, used by validate and help
+ * @param {Object} [options={}] - The options object
+ * @param {String} [options.namespace] - Override the plugin namespace
+ *
+ * @example <caption>Example registering a plugin, and utilising the function</caption>
+ * // returns
+ * // result = 'HELLO'
+ * const jsonata = require('jsonata-extended');
+ * jsonata.use({
+ *   name: 'acme',
+ *   functions: [{ name: 'shout', implementation: (value) => value.toUpperCase(), signature: '<s:s>' }],
+ * });
+ * const expr = jsonata('$shout("hello")');
+ * const result = expr.evaluate();
+ *
+ * @example <caption>Example registering a plugin in a namespace, and utilising the function</caption>
+ * // returns
+ * // result = 'HELLO'
+ * const jsonata = require('jsonata-extended');
+ * jsonata.use({
+ *   name: 'acme',
+ *   namespace: 'acme',
+ *   functions: [{ name: 'shout', implementation: (value) => value.toUpperCase(), signature: '<s:s>' }],
+ * });
+ * const expr = jsonata('$acme_shout("hello")');
+ * const result = expr.evaluate();
+ *
+ * @throws {TypeError} plugin must have a valid name and an array of valid function definitions
+ * @throws Will throw an error if the plugin is already registered
+ * @throws Will throw an error if a function name collides with a built-in, JSONata or other plugin function
+ */
+const use = (plugin, options) => {
+  if (typeof plugin !== 'object' || plugin === null) {
+    throw new TypeError('Invalid plugin');
+  }
+
+  if (typeof plugin.name !== 'string' || plugin.name.length === 0) {
+    throw new TypeError('Invalid plugin. Expected a string name');
+  }
+
+  if (!Array.isArray(plugin.functions)) {
+    throw new TypeError(`Invalid plugin ${plugin.name}. Expected an array of functions`);
+  }
+
+  if (plugins.some((item) => item.name === plugin.name)) {
+    throw new Error(`Plugin ${plugin.name} is already registered`);
+  }
+
+  const localOptions = { namespace: plugin.namespace, ...options };
+
+  if (typeof localOptions.namespace !== 'undefined' && !validName.test(localOptions.namespace)) {
+    throw new TypeError(
+      `Invalid plugin ${plugin.name}. Invalid namespace: ${localOptions.namespace}`
+    );
+  }
+
+  const names = registeredNames();
+
+  const functions = plugin.functions.map((definition) => {
+    if (typeof definition !== 'object' || definition === null || !validName.test(definition.name)) {
+      throw new TypeError(`Invalid plugin ${plugin.name}. Invalid function name`);
+    }
+
+    if (typeof definition.implementation !== 'function') {
+      throw new TypeError(
+        `Invalid plugin ${plugin.name}. Expected a function implementation for ${definition.name}`
+      );
+    }
+
+    const name = localOptions.namespace
+      ? `${localOptions.namespace}_${definition.name}`
+      : definition.name;
+
+    if (names.has(name)) {
+      throw new Error(
+        `Plugin ${plugin.name} function $${name} collides with a function from ${names.get(name)}`
+      );
+    }
+
+    if (isNativeFunction(name)) {
+      throw new Error(`Plugin ${plugin.name} function $${name} collides with a JSONata function`);
+    }
+
+    if (typeof definition.signature !== 'undefined' && typeof definition.signature !== 'string') {
+      throw new TypeError(
+        `Invalid plugin ${plugin.name}. Expected a string signature for ${definition.name}`
+      );
+    }
+
+    names.set(name, plugin.name);
+    return { ...definition, name };
+  });
+
+  plugins.push({ name: plugin.name, namespace: localOptions.namespace, functions });
+  pluginsGeneration += 1;
+};
+
+/**
+ * Remove a registered plugin, expressions created afterwards will not include its functions
+ * @access private
+ * @param {String} name - The plugin name
+ * @returns {Boolean} True if the plugin was registered and has been removed
+ */
+const unuse = (name) => {
+  const index = plugins.findIndex((plugin) => plugin.name === name);
+  if (index === -1) {
+    return false;
+  }
+  plugins.splice(index, 1);
+  pluginsGeneration += 1;
+  return true;
+};
+
+/**
+ * List the registered plugins
+ * @access private
+ * @returns {Object[]} The plugins, with the function names as registered
+ */
+const list = () =>
+  plugins.map((plugin) => ({
+    name: plugin.name,
+    namespace: plugin.namespace,
+    functions: plugin.functions.map((definition) => definition.name),
+  }));
+
+/**
+ * Get the function definitions of all the plugins
+ * @access private
+ * @returns {Array<{name: String, implementation: Function, signature: String}>} The function definitions, with the names as registered
+ */
+const definitions = () => plugins.reduce((result, plugin) => result.concat(plugin.functions), []);
+
+/**
+ * Get the generation of the registered plugins, which changes each time a plugin is registered or removed
+ * @access private
+ * @returns {Number} The generation
+ */
+const generation = () => pluginsGeneration;
+
+module.exports = {
+  isNativeFunction,
+  use,
+  unuse,
+  list,
+  definitions,
+  generation,
+};
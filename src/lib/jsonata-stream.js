@@ -0,0 +1,213 @@
+/**
+ * Streaming batch transforms for JSONata expressions
+ * @module jsonata-stream
+ * @exports createTransformStream
+ */
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Create a splitter for newline delimited JSON text
+ * @access private
+ * @returns {{push: Function, end: Function}} push(text) returns the text of each complete record, end() returns the text of the remaining record
+ */
+const createNdjsonSplitter = () => {
+  let buffer = '';
+
+  return {
+    push: (text) => {
+      const lines = `${buffer}${text}`.split('\n');
+      buffer = lines.pop();
+      return lines.filter((line) => line.trim().length > 0);
+    },
+    end: () => {
+      const line = buffer;
+      buffer = '';
+      return line.trim().length > 0 ? [line] : [];
+    },
+  };
+};
+
+/**
+ * Create a splitter for the text of a JSON array, that returns the text of each element without
+ * parsing the whole array
+ * @access private
+ * @returns {{push: Function, end: Function}} push(text) returns the text of each complete element, end() checks the array is complete
+ */
+const createJsonArraySplitter = () => {
+  let state = 'start';
+  let count = 0;
+  let current = '';
+  let depth = 0;
+  let inString = false;
+  let escape = false;
+
+  const push = (text) => {
+    const elements = [];
+
+    [...text].forEach((ch) => {
+      if (state === 'start' || state === 'end') {
+        if (/\s/.test(ch)) {
+          return;
+        }
+        if (state === 'start' && ch === '[') {
+          state = 'elements';
+          return;
+        }
+        throw new Error(
+          state === 'start'
+            ? 'Invalid JSON array. Expected ['
+            : 'Invalid JSON array. Unexpected data after ]'
+        );
+      }
+
+      if (inString) {
+        current += ch;
+        if (escape) {
+          escape = false;
+        } else if (ch === '\\') {
+          escape = true;
+        } else if (ch === '"') {
+          inString = false;
+        }
+        return;
+      }
+
+      if (depth === 0 && ch === ',') {
+        elements.push(current);
+        count += 1;
+        current = '';
+        return;
+      }
+
+      if (depth === 0 && ch === ']') {
+        // An empty array has no elements, an empty element after a comma is an invalid record
+        if (current.trim().length > 0 || count > 0) {
+          elements.push(current);
+          count += 1;
+        }
+        current = '';
+        state = 'end';
+        return;
+      }
+
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === '{' || ch === '[') {
+        depth += 1;
+      } else if (ch === '}' || ch === ']') {
+        depth -= 1;
+      }
+      current += ch;
+    });
+
+    return elements;
+  };
+
+  const end = () => {
+    if (state !== 'end') {
+      throw new Error('Invalid JSON array. Unexpected end of input');
+    }
+    return [];
+  };
+
+  return { push, end };
+};
+
+/**
+ * The splitters for each of the supported formats
+ * @access private
+ * @type {Object<String, Function>}
+ */
+const splitters = {
+  ndjson: createNdjsonSplitter,
+  array: createJsonArraySplitter,
+};
+
+/**
+ * Create a stream that applies the compiled expression to each record of NDJSON or JSON array
+ * text, without loading all the records into memory.
+ * The stream is written with text, and read in object mode. Each object read is either
+ * {index, result} or {index, error} where error is the error for that record, an error for one
+ * record does not stop the other records being processed. With the onInvalid option collect, the
+ * result object includes the failures of the extended functions for that record. The chunks are
+ * only transformed as fast as the objects are read, so a slow reader does not fill the memory.
+ * @access private
+ * @param {Object} expression - The compiled JSONata Expression Object
+ * @param {Object} [options={}] - The options object
+ * @param {('ndjson'|'array')} [options.format='ndjson'] - The format of the input text
+ * @param {Object} [options.bindings] - The variable bindings for each evaluation
+ * @param {('throw'|'undefined'|'collect')} [options.onInvalid] - The onInvalid option the expression was created with
+ *
+ * @example <caption>Example transforming a file of NDJSON records</caption>
+ * const fs = require('fs');
+ * const jsonata = require('jsonata-extended');
+ * fs.createReadStream('metadata.ndjson')
+ *   .pipe(jsonata.transformStream('$truncate(localizedMetadata[0].title, {"length": 20})'))
+ *   .on('data', ({ index, result, error }) => {
+ *     if (error) {
+ *       console.error(`Record ${index}: ${error.message}`);
+ *     } else {
+ *       console.log(result);
+ *     }
+ *   });
+ *
+ * @throws {TypeError} format must be ndjson or array
+ * @returns {Transform} The transform stream
+ */
+const createTransformStream = (expression, options) => {
+  const localOptions = { format: 'ndjson', ...options };
+
+  if (!Object.prototype.hasOwnProperty.call(splitters, localOptions.format)) {
+    throw new TypeError(
+      `Invalid format. Valid values: ${Object.keys(splitters).join(',')}. Received: ${
+        localOptions.format
+      }`
+    );
+  }
+
+  const splitter = splitters[localOptions.format]();
+  const decoder = new StringDecoder('utf8');
+  let index = 0;
+
+  const evaluateRecords = (stream, records) => {
+    records.forEach((record) => {
+      let output;
+      try {
+        output = { index, result: expression.evaluate(JSON.parse(record), localOptions.bindings) };
+        if (localOptions.onInvalid === 'collect') {
+          output.failures = expression.failures();
+        }
+      } catch (error) {
+        output = { index, error };
+      }
+      index += 1;
+      stream.push(output);
+    });
+  };
+
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      try {
+        evaluateRecords(this, splitter.push(decoder.write(chunk)));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        evaluateRecords(this, splitter.push(decoder.end()));
+        evaluateRecords(this, splitter.end());
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+};
+
+module.exports = {
+  createTransformStream,
+};
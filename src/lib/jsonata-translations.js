@@ -0,0 +1,125 @@
+/**
+ * Translation catalogs for JSONata Extended, the per-locale message tables used by $t from the
+ * messages option, an object keyed by locale or a loader function
+ * @module jsonata-translations
+ * @exports createCatalog
+ * @exports collectMissing
+ */
+const _ = require('lodash');
+const jsonataLocale = require('./jsonata-locale');
+const { wrapEvaluate } = require('./jsonata-expression');
+
+/**
+ * Get the message for a key in a message table, a flat key such as course.count or the path of a
+ * nested table
+ * @access private
+ * @param {Object} table - The message table
+ * @param {String} key - The message key
+ * @returns {String|Void} The message, undefined if the table does not have a message for the key
+ */
+const tableMessage = (table, key) => {
+  const message = Object.prototype.hasOwnProperty.call(table, key) ? table[key] : _.get(table, key);
+  return typeof message === 'string' ? message : undefined;
+};
+
+/**
+ * Check the messages option and get the function that loads the table of a locale
+ * @access private
+ * @param {Object|Function} messages - The tables keyed by RFC5646 locale, or a function that returns the table for a locale
+ * @returns {Function} The function that returns the table for a canonical locale, or undefined
+ *
+ * @throws {TypeError} messages must be an object of tables keyed by RFC5646 locale, or a function
+ */
+const tableLoader = (messages) => {
+  if (typeof messages === 'function') {
+    return messages;
+  }
+
+  if (typeof messages !== 'object' || messages === null || Array.isArray(messages)) {
+    throw new TypeError(
+      `Invalid options.messages. Expected an object or a function. Received: ${messages}`
+    );
+  }
+
+  // The tables by the lower case canonical locale, so fr_ca finds the table for fr-CA
+  const tables = new Map();
+  Object.keys(messages).forEach((locale) => {
+    let canonical;
+    try {
+      canonical = jsonataLocale.parseTag(locale).canonical;
+    } catch (err) {
+      throw new TypeError(`Invalid options.messages. Invalid locale: ${locale}`);
+    }
+    if (typeof messages[locale] !== 'object' || messages[locale] === null) {
+      throw new TypeError(`Invalid options.messages.${locale}. Expected an object`);
+    }
+    tables.set(canonical.toLowerCase(), messages[locale]);
+  });
+
+  return (locale) => tables.get(locale.toLowerCase());
+};
+
+/**
+ * Create the catalog for the messages option. A loader is called once for each locale, and the
+ * table it returns is kept for the life of the expression.
+ * @access private
+ * @param {Object|Function} [messages] - The tables keyed by RFC5646 locale, such as { "en-US": { "course.count": "..." } }, or a function that returns the table for a locale
+ * @returns {{find: Function}} The catalog, find returns the first message for the key in the locales, with the locale of the table
+ *
+ * @throws {TypeError} messages must be an object of tables keyed by RFC5646 locale, or a function
+ */
+const createCatalog = (messages) => {
+  const loader = typeof messages === 'undefined' ? () => undefined : tableLoader(messages);
+  const cache = new Map();
+  const load = (locale) => {
+    if (!cache.has(locale)) {
+      const table = loader(locale);
+      cache.set(locale, typeof table === 'object' && table !== null ? table : undefined);
+    }
+    return cache.get(locale);
+  };
+
+  return {
+    /**
+     * Find the message for the key, in the first locale with a table that has the key
+     * @param {String} key - The message key
+     * @param {String[]} locales - The canonical locales, in order
+     * @returns {{message: String, locale: String}|Void} The message and the locale of the table, undefined if not found
+     */
+    find: (key, locales) => {
+      let found;
+      locales.some((locale) => {
+        const table = load(locale);
+        const message = table && tableMessage(table, key);
+        if (typeof message !== 'undefined') {
+          found = { message, locale };
+        }
+        return typeof found !== 'undefined';
+      });
+      return found;
+    },
+  };
+};
+
+/**
+ * Record the message keys $t did not find for each evaluation, and add the missingMessages function
+ * to the expression to return the missing keys of the last evaluation
+ * @access private
+ * @param {Object} expression - The JSONata Expression Object
+ * @param {Object[]} missing - The array $t adds the missing keys to
+ * @returns {Object} The JSONata Expression Object
+ */
+const collectMissing = (expression, missing) =>
+  wrapEvaluate(
+    expression,
+    (evaluate) => (input, bindings, callback) => {
+      missing.splice(0);
+      return evaluate(input, bindings, callback);
+    },
+    { missingMessages: () => missing.map((item) => ({ ...item, locales: [...item.locales] })) }
+  );
+
+module.exports = {
+  createCatalog,
+  collectMissing,
+};
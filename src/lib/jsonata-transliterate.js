@@ -0,0 +1,1048 @@
+/**
+ * Transliteration to Latin letters of the scripts fold-to-ascii does not fold, Cyrillic, Greek,
+ * Japanese kana, Korean hangul and the common Han ideographs, with the locale conventions for
+ * German, Danish, Norwegian, Ukrainian and Bulgarian.
+ * @module jsonata-transliterate
+ * @exports transliterate
+ */
+
+/**
+ * The Cyrillic letters, based on the common romanisation of Russian, with the letters of the
+ * other Cyrillic alphabets
+ * @access private
+ * @type {Object<String, String>}
+ */
+const cyrillic = {
+  а: 'a',
+  б: 'b',
+  в: 'v',
+  г: 'g',
+  д: 'd',
+  е: 'e',
+  ё: 'e',
+  ж: 'zh',
+  з: 'z',
+  и: 'i',
+  й: 'y',
+  к: 'k',
+  л: 'l',
+  м: 'm',
+  н: 'n',
+  о: 'o',
+  п: 'p',
+  р: 'r',
+  с: 's',
+  т: 't',
+  у: 'u',
+  ф: 'f',
+  х: 'kh',
+  ц: 'ts',
+  ч: 'ch',
+  ш: 'sh',
+  щ: 'shch',
+  ъ: '',
+  ы: 'y',
+  ь: '',
+  э: 'e',
+  ю: 'yu',
+  я: 'ya',
+  є: 'ye',
+  і: 'i',
+  ї: 'yi',
+  ґ: 'g',
+  ў: 'u',
+  ђ: 'dj',
+  ј: 'j',
+  љ: 'lj',
+  њ: 'nj',
+  ћ: 'c',
+  џ: 'dz',
+  ѓ: 'gj',
+  ќ: 'kj',
+  ѕ: 'dz',
+};
+
+/**
+ * The Greek letters, based on ELOT 743, the accents are removed first
+ * @access private
+ * @type {Object<String, String>}
+ */
+const greek = {
+  α: 'a',
+  β: 'v',
+  γ: 'g',
+  δ: 'd',
+  ε: 'e',
+  ζ: 'z',
+  η: 'i',
+  θ: 'th',
+  ι: 'i',
+  κ: 'k',
+  λ: 'l',
+  μ: 'm',
+  ν: 'n',
+  ξ: 'x',
+  ο: 'o',
+  π: 'p',
+  ρ: 'r',
+  σ: 's',
+  ς: 's',
+  τ: 't',
+  υ: 'y',
+  φ: 'f',
+  χ: 'ch',
+  ψ: 'ps',
+  ω: 'o',
+  ου: 'ou',
+  αυ: 'av',
+  ευ: 'ev',
+  ηυ: 'iv',
+};
+
+/**
+ * The hiragana, in Hepburn romanisation. Katakana are converted to hiragana first
+ * @access private
+ * @type {Object<String, String>}
+ */
+const kana = {
+  あ: 'a',
+  い: 'i',
+  う: 'u',
+  え: 'e',
+  お: 'o',
+  か: 'ka',
+  き: 'ki',
+  く: 'ku',
+  け: 'ke',
+  こ: 'ko',
+  が: 'ga',
+  ぎ: 'gi',
+  ぐ: 'gu',
+  げ: 'ge',
+  ご: 'go',
+  さ: 'sa',
+  し: 'shi',
+  す: 'su',
+  せ: 'se',
+  そ: 'so',
+  ざ: 'za',
+  じ: 'ji',
+  ず: 'zu',
+  ぜ: 'ze',
+  ぞ: 'zo',
+  た: 'ta',
+  ち: 'chi',
+  つ: 'tsu',
+  て: 'te',
+  と: 'to',
+  だ: 'da',
+  ぢ: 'ji',
+  づ: 'zu',
+  で: 'de',
+  ど: 'do',
+  な: 'na',
+  に: 'ni',
+  ぬ: 'nu',
+  ね: 'ne',
+  の: 'no',
+  は: 'ha',
+  ひ: 'hi',
+  ふ: 'fu',
+  へ: 'he',
+  ほ: 'ho',
+  ば: 'ba',
+  び: 'bi',
+  ぶ: 'bu',
+  べ: 'be',
+  ぼ: 'bo',
+  ぱ: 'pa',
+  ぴ: 'pi',
+  ぷ: 'pu',
+  ぺ: 'pe',
+  ぽ: 'po',
+  ま: 'ma',
+  み: 'mi',
+  む: 'mu',
+  め: 'me',
+  も: 'mo',
+  や: 'ya',
+  ゆ: 'yu',
+  よ: 'yo',
+  ら: 'ra',
+  り: 'ri',
+  る: 'ru',
+  れ: 're',
+  ろ: 'ro',
+  わ: 'wa',
+  ゐ: 'i',
+  ゑ: 'e',
+  を: 'o',
+  ん: 'n',
+  ゔ: 'vu',
+  ぁ: 'a',
+  ぃ: 'i',
+  ぅ: 'u',
+  ぇ: 'e',
+  ぉ: 'o',
+  ゃ: 'ya',
+  ゅ: 'yu',
+  ょ: 'yo',
+  ゎ: 'wa',
+  ゕ: 'ka',
+  ゖ: 'ke',
+  ヷ: 'va',
+  ヸ: 'vi',
+  ヹ: 've',
+  ヺ: 'vo',
+};
+
+/**
+ * The initial consonants, vowels and final consonants of the hangul syllables, in the Revised
+ * Romanization of Korean without the sound changes between syllables
+ * @access private
+ * @type {{initials: String[], vowels: String[], finals: String[]}}
+ */
+const hangul = {
+  initials: 'g,kk,n,d,tt,r,m,b,pp,s,ss,,j,jj,ch,k,t,p,h'.split(','),
+  vowels: 'a,ae,ya,yae,eo,e,yeo,ye,o,wa,wae,oe,yo,u,wo,we,wi,yu,eu,ui,i'.split(','),
+  finals: ',k,k,k,n,n,n,t,l,k,m,l,l,l,p,l,m,p,p,t,t,ng,t,t,k,t,p,t'.split(','),
+};
+
+/**
+ * The pinyin without tones of the most frequent Chinese ideographs, simplified and traditional.
+ * Without a dictionary each ideograph has one reading, the most common.
+ * @access private
+ * @type {Object<String, String>}
+ */
+const hanPinyin = {
+  a: '阿啊',
+  ai: '爱愛埃艾碍礙',
+  an: '安案按暗岸',
+  ao: '奥奧',
+  ba: '把八吧巴爸罢罷',
+  bai: '白百败敗摆擺拜',
+  ban: '办辦半般版班板伴',
+  bang: '帮幫邦',
+  bao: '报報保包宝寶暴抱爆胞薄',
+  bei: '被北备備背贝貝悲倍杯辈輩',
+  ben: '本奔',
+  bi: '比必祕笔筆避毕畢币幣彼闭閉鼻壁',
+  bian: '变變便边邊编編遍辩辯',
+  biao: '表标標',
+  bie: '别別',
+  bing: '并並兵病冰',
+  bo: '波伯博播',
+  bu: '不部步布补補捕',
+  cai: '才采採财財材彩裁菜',
+  can: '参參残殘餐',
+  cang: '藏',
+  cao: '草操',
+  ce: '策测測侧側',
+  ceng: '曾层層',
+  cha: '查察差茶插',
+  chan: '产產',
+  chang: '长長常场場厂廠唱偿償',
+  chao: '朝超潮',
+  che: '车彻徹撤',
+  chen: '陈陳沉臣晨',
+  cheng: '成程城称稱承诚誠乘',
+  chi: '持吃喫迟遲尺',
+  chong: '充冲衝虫蟲崇',
+  chou: '抽',
+  chu: '出处處除初楚础礎触觸',
+  chuan: '传傳船穿川',
+  chuang: '创創床牀窗',
+  chui: '吹',
+  chun: '春纯純',
+  ci: '此次词詞刺辞辭慈',
+  cong: '从從',
+  cu: '促粗',
+  cun: '存村',
+  cuo: '错錯措',
+  da: '大打达達答',
+  dai: '代带帶待戴袋呆',
+  dan: '但单單彈担擔丹淡旦胆膽蛋',
+  dang: '当當党黨荡蕩',
+  dao: '到道导導倒岛島刀',
+  de: '的得德',
+  deng: '等登灯燈',
+  di: '地第敌敵底低帝弟抵蒂迪',
+  dian: '点點电電店典',
+  diao: '調掉',
+  ding: '定顶頂丁订訂',
+  dong: '动動东東洞懂冬',
+  dou: '都斗鬥',
+  du: '度独獨读讀督毒杜渡',
+  duan: '断斷段短端',
+  dui: '对對队隊堆',
+  dun: '顿頓盾',
+  duo: '多夺奪',
+  e: '恶惡额額俄',
+  en: '恩',
+  er: '而二儿兒尔爾耳',
+  fa: '发發法罚罰乏',
+  fan: '反范範犯饭飯凡翻烦煩繁泛返番',
+  fang: '方放房防访訪仿',
+  fei: '非飞飛费費废廢菲',
+  fen: '分份纷紛奋奮粉',
+  feng: '风風封丰豐奉峰峯',
+  fo: '佛',
+  fou: '否',
+  fu: '服夫府复復父福负負富副付附妇婦符弗伏幅浮',
+  gai: '该該改概盖蓋',
+  gan: '感干幹敢赶趕甘',
+  gang: '刚剛港',
+  gao: '高告搞',
+  ge: '个個各格革哥歌隔',
+  gei: '给給',
+  gen: '根跟',
+  geng: '更',
+  gong: '公工共功供攻宫宮',
+  gou: '构構够夠购購狗',
+  gu: '古故股顾顧固姑骨谷鼓估孤',
+  gua: '挂掛',
+  guai: '怪',
+  guan: '关關管观觀官馆館惯慣贯貫',
+  guang: '光广廣',
+  gui: '规規贵貴归歸鬼',
+  guo: '国國过過果',
+  ha: '哈',
+  hai: '还海孩害',
+  han: '汉漢含喊韩韓寒汗',
+  hang: '航',
+  hao: '好号號毫',
+  he: '和合何河核喝赫荷嚇',
+  hei: '黑',
+  hen: '很恨',
+  heng: '横橫衡',
+  hong: '红紅轰轟洪',
+  hou: '后後候厚',
+  hu: '乎护護户戶胡互呼忽湖虎糊',
+  hua: '话話化花华華划劃画畫滑',
+  huai: '怀懷坏壞',
+  huan: '還环環欢歡换換缓緩患幻',
+  huang: '黄黃皇荒',
+  hui: '会會回挥揮毁毀汇匯灰恢',
+  hun: '婚混魂',
+  huo: '或活火获獲货貨伙夥霍',
+  ji: '机機己及几幾计計基即记記济濟极極击擊集级級技际際纪紀继繼急激既积積吉迹跡疾季辑輯鸡雞',
+  jia: '家加价價假架甲',
+  jian: '间間见見建件简簡检檢坚堅监監舰艦减減剑劍渐漸健尖肩键鍵箭',
+  jiang: '将將讲講江降蒋蔣奖獎',
+  jiao: '教交叫较較角脚腳',
+  jie: '解结結接界节節阶階姐介借街杰傑皆',
+  jin: '进進金今近尽盡仅僅紧緊禁津劲勁',
+  jing: '经經精京境惊驚警竟静靜景睛竞競敬镜鏡径徑净淨井',
+  jiu: '就究九久酒救旧舊',
+  ju: '据據車具局举舉居句剧劇巨距聚拒',
+  juan: '卷',
+  jue: '决決觉覺绝絕',
+  jun: '军軍均君',
+  ka: '卡',
+  kai: '开開凯凱',
+  kan: '看刊',
+  kang: '抗康',
+  kao: '考靠',
+  ke: '可克科客刻课課颗顆',
+  ken: '肯',
+  kong: '空控恐孔',
+  kou: '口',
+  ku: '苦库庫哭',
+  kuai: '快块塊',
+  kuan: '款宽寬',
+  kuang: '况況狂矿礦',
+  kun: '困',
+  kuo: '括扩擴',
+  la: '拉啦腊臘',
+  lai: '来來莱萊赖賴',
+  lan: '兰蘭蓝藍',
+  lang: '浪朗郎',
+  lao: '老劳勞',
+  le: '乐樂勒',
+  lei: '类類雷泪淚累',
+  leng: '冷',
+  li: '里裏理力利立离離李历歷例丽麗礼禮厉厲励勵黎',
+  lian: '联聯连連脸臉练練恋戀',
+  liang: '两兩量良亮粮糧辆輛梁',
+  liao: '了料疗療',
+  lie: '列烈裂',
+  lin: '林临臨',
+  ling: '领領令另灵靈零',
+  liu: '流六留刘劉',
+  long: '龙龍隆',
+  lou: '楼樓',
+  lu: '路律率陆陸露鲁魯虑慮录錄旅绿綠',
+  luan: '乱亂',
+  lue: '略',
+  lun: '论論伦倫轮輪',
+  luo: '罗羅落洛络絡',
+  ma: '马馬吗嗎妈媽麻玛瑪码碼骂罵',
+  mai: '买買卖賣麦麥',
+  man: '满滿慢曼漫',
+  mang: '忙',
+  mao: '毛贸貿冒矛',
+  me: '么',
+  mei: '没沒美每梅妹眉',
+  men: '们們门門',
+  meng: '梦夢蒙猛盟',
+  mi: '米密秘迷',
+  mian: '面免',
+  miao: '描妙',
+  mie: '灭滅',
+  min: '民敏',
+  ming: '明名命',
+  mo: '麼模莫默摩末魔摸墨',
+  mou: '某谋謀',
+  mu: '目母木姆幕',
+  na: '那拿哪纳納',
+  nai: '乃奶耐',
+  nan: '难難南男',
+  nao: '脑腦闹鬧',
+  ne: '呢',
+  nei: '内內',
+  neng: '能',
+  ni: '你尼泥',
+  nian: '年念',
+  niang: '娘',
+  niao: '鸟鳥',
+  nin: '您',
+  ning: '宁寧',
+  niu: '牛',
+  nong: '农農弄',
+  nu: '女努怒奴',
+  nuo: '诺諾',
+  ou: '欧歐偶',
+  pa: '怕爬',
+  pai: '派排拍牌',
+  pan: '判盘盤',
+  pang: '旁',
+  pao: '跑炮',
+  pei: '配培',
+  peng: '朋碰',
+  pi: '批皮',
+  pian: '片篇偏',
+  piao: '票',
+  pin: '品贫貧',
+  ping: '平评評凭憑',
+  po: '破迫婆',
+  pu: '普',
+  qi: '起其气氣期器企七奇齐齊妻弃棄汽启啓骑騎旗',
+  qia: '恰',
+  qian: '前千钱錢潜潛签籤',
+  qiang: '强強枪槍墙牆抢搶',
+  qiao: '巧桥橋悄乔喬',
+  qie: '且切',
+  qin: '亲親侵秦',
+  qing: '情清请請轻輕青倾傾庆慶',
+  qiong: '穷窮',
+  qiu: '求球秋',
+  qu: '去区區取趣曲趋趨',
+  quan: '全权權圈券',
+  que: '却卻确確缺',
+  qun: '群羣',
+  ran: '然染',
+  rang: '让讓',
+  rao: '扰擾绕繞',
+  re: '热熱',
+  ren: '人任认認忍仁',
+  reng: '仍',
+  ri: '日',
+  rong: '容荣榮融',
+  rou: '肉',
+  ru: '如入',
+  ruan: '软軟',
+  rui: '瑞',
+  run: '润潤',
+  ruo: '若弱',
+  sa: '萨薩撒',
+  sai: '赛賽塞',
+  san: '三散',
+  sang: '丧喪',
+  sao: '扫掃',
+  se: '色',
+  sen: '森',
+  sha: '杀殺沙',
+  shan: '山善闪閃',
+  shang: '上商伤傷尚赏賞',
+  shao: '少烧燒绍紹稍',
+  she: '社设設射涉舍摄攝',
+  shen: '什身神深甚审審申伸',
+  sheng: '生声聲省胜勝升圣聖盛剩',
+  shi: '是时時事实實十使世市式师師识識士失始石示视視史势勢施试試适適食室释釋诗詩氏',
+  shou: '手受收首守授售',
+  shu: '数數书書术術属屬述树樹输輸束熟殊署叔舒',
+  shuang: '双雙',
+  shui: '水谁誰税稅睡',
+  shun: '顺順',
+  shuo: '说說',
+  si: '斯四司思死似私丝絲',
+  song: '送松宋',
+  sou: '艘',
+  su: '苏蘇诉訴速素俗',
+  suan: '算酸',
+  sui: '随隨虽雖岁歲碎',
+  sun: '损損孙孫',
+  suo: '所索缩縮',
+  ta: '他她它塔',
+  tai: '太台臺态態泰抬',
+  tan: '谈談弹探坦叹嘆',
+  tang: '唐堂',
+  tao: '讨討逃套',
+  te: '特',
+  ti: '体體提题題替',
+  tian: '天田',
+  tiao: '条條调跳挑',
+  tie: '铁鐵贴貼',
+  ting: '听聽停庭厅廳艇挺',
+  tong: '同通统統痛童',
+  tou: '头頭投透偷',
+  tu: '图圖突土徒途',
+  tuan: '团團',
+  tui: '推退腿',
+  tuo: '托脱脫拖',
+  wa: '瓦',
+  wai: '外',
+  wan: '完万萬晚湾灣玩',
+  wang: '王望往网網亡忘',
+  wei: '为爲位未委维維围圍威微卫衛危味谓謂唯伟偉违違尾',
+  wen: '问問文闻聞温溫稳穩',
+  wo: '我握',
+  wu: '於无無物务務五武误誤屋午吴吳舞乌烏污伍',
+  xi: '西系息希细細喜习習席吸戏戲析袭襲洗悉',
+  xia: '下夏侠俠吓',
+  xian: '现現先线線显顯限险險县縣鲜鮮献獻仙陷宪憲',
+  xiang: '想向相像象响響项項香乡鄉享详詳箱',
+  xiao: '小笑消效校销銷晓曉',
+  xie: '些写寫协協谢謝胁脅',
+  xin: '心新信辛',
+  xing: '行性形兴興星型幸醒刑姓',
+  xiong: '雄兄胸凶兇',
+  xiu: '修休秀',
+  xu: '许許需须須续續序虚虛徐绪緒',
+  xuan: '选選宣旋',
+  xue: '学學血雪',
+  xun: '寻尋训訓迅讯訊',
+  ya: '亚亞压壓呀牙雅',
+  yan: '眼言研验驗严嚴演烟煙延沿炎岩巖',
+  yang: '样樣阳陽养養央洋杨楊扬揚羊仰',
+  yao: '要药藥摇搖腰',
+  ye: '也业業夜野叶葉爷爺页頁耶液',
+  yi: '一以意已义義议議易医醫依益疑异異衣伊艺藝移亦遗遺亿億译譯役仪儀宜翼忆憶',
+  yin: '因引音印银銀阴陰隐隱',
+  ying: '应應英影营營迎硬映',
+  yong: '用永拥擁勇',
+  you: '有又由友游遊优優右油尤犹猶忧憂',
+  yu: '于与與语語育预預余餘域鱼魚遇予雨玉欲宇愈御',
+  yuan: '原员員院元远遠愿願源园園圆圓援缘緣',
+  yue: '月约約越阅閱',
+  yun: '运運云雲允',
+  za: '杂雜',
+  zai: '在再载載灾災',
+  zan: '赞贊咱暂暫',
+  zao: '造早遭',
+  ze: '则則责責泽澤择擇',
+  zen: '怎',
+  zeng: '增',
+  zha: '炸扎',
+  zhai: '债債',
+  zhan: '战戰展站占佔',
+  zhang: '张張章掌障丈',
+  zhao: '照找招赵趙召',
+  zhe: '这這着者哲折',
+  zhen: '真阵陣镇鎮震针針振珍诊診侦偵',
+  zheng: '正政争爭证證整征郑鄭症',
+  zhi: '之只知制直指至治质質支致志织織止值职職置徵执執智纸紙植殖枝',
+  zhong: '中种種重众衆终終钟鍾忠',
+  zhou: '周洲州宙',
+  zhu: '主住注助著逐诸諸朱筑築珠驻駐',
+  zhua: '抓',
+  zhuan: '转轉专專',
+  zhuang: '装裝状狀庄莊壮壯',
+  zhui: '追',
+  zhun: '准準',
+  zhuo: '桌',
+  zi: '子自资資字',
+  zong: '总總宗纵縱综綜',
+  zou: '走',
+  zu: '组組足族祖阻租',
+  zui: '最罪嘴',
+  zun: '尊',
+  zuo: '作做坐左座昨',
+};
+
+/**
+ * The Japanese readings of the kanji taught in school and the other most frequent kanji, the most
+ * common on'yomi, or the kun'yomi for a kanji without one, in the same romaji as the kana
+ * @access private
+ * @type {Object<String, String>}
+ */
+const hanOnyomi = {
+  a: '阿',
+  ai: '愛',
+  aku: '悪握',
+  an: '安暗案',
+  atsu: '圧',
+  ba: '馬',
+  bai: '貝売買倍梅培賠',
+  baku: '麦爆',
+  ban: '番板晩盤',
+  batsu: '抜罰閥',
+  bei: '米皿',
+  ben: '勉弁',
+  betsu: '別',
+  bi: '美鼻備尾微梶',
+  bin: '便敏',
+  bo: '母墓暮募簿',
+  boku: '木牧僕撲',
+  botsu: '没',
+  bou: '望暴貿防亡忘棒冒妨忙房膨謀',
+  bu: '分部武舞',
+  bun: '文聞',
+  butsu: '物仏',
+  byou: '病秒描',
+  cha: '茶',
+  chaku: '着',
+  chi: '地池知丁置値徴智致遅',
+  chiku: '竹築蓄',
+  chin: '賃沈珍陳',
+  chitsu: '秩',
+  cho: '貯著',
+  choku: '直',
+  chou: '町朝長鳥帳調兆腸張庁潮頂塚懲挑聴超',
+  chuu: '中虫昼柱注仲宙忠抽沖駐',
+  da: '打妥駄',
+  dai: '大台代第題',
+  daku: '諾',
+  dan: '男談団断暖段弾',
+  datsu: '奪脱',
+  den: '田電伝殿',
+  do: '土度努怒',
+  doku: '読毒独',
+  dou: '同道動童働堂導銅',
+  e: '絵衛也恵',
+  ei: '泳栄英営永映影鋭',
+  eki: '駅液益',
+  en: '円園遠塩演延沿援渕炎煙縁',
+  etsu: '越',
+  fu: '父風負不付夫府婦富布怖敷普浮腐',
+  fuku: '服福副復複腹幅覆',
+  fun: '粉奮噴紛雰',
+  fuu: '封',
+  ga: '画芽賀我雅',
+  gai: '外害街概',
+  gaku: '学楽額岳',
+  gan: '丸岩顔岸願眼含頑',
+  gei: '芸迎鯨',
+  geki: '劇激撃',
+  gen: '元原言減現限厳源彦玄',
+  getsu: '月',
+  gi: '議技義疑偽儀犠',
+  gin: '銀',
+  go: '五午後語護誤互御悟',
+  gou: '合号豪',
+  gu: '具弘',
+  gun: '軍郡群',
+  guu: '宮遇',
+  gyaku: '逆虐',
+  gyo: '魚漁',
+  gyoku: '玉',
+  gyou: '業',
+  gyuu: '牛',
+  ha: '波破派覇',
+  hachi: '八',
+  hai: '配敗俳拝肺背廃排杯輩',
+  haku: '白博拍泊薄迫',
+  han: '半反坂飯判版犯班伴範繁般販阪',
+  hata: '畑',
+  hatsu: '発髪',
+  hei: '平兵並閉陛併柄',
+  heki: '壁',
+  hen: '返変辺編片偏',
+  hi: '悲皮費飛比肥非否批秘彼披疲被避',
+  hin: '品貧浜',
+  hitsu: '筆必匹払',
+  ho: '歩保補捕浦舗',
+  hoku: '北',
+  hon: '本翻',
+  hou: '方放包法報豊宝訪崩抱砲胞芳邦',
+  hyaku: '百',
+  hyou: '氷表標票俵評漂',
+  i: '医委意以位囲胃衣易移異遺伊依唯威慰為維緯違',
+  ichi: '一',
+  iki: '域',
+  iku: '育',
+  in: '引員院飲印因陰隠',
+  jaku: '弱若',
+  ji: '字耳寺時自事持次児治辞似示磁除',
+  jiku: '軸',
+  jin: '人臣仁尋尽陣',
+  jitsu: '実',
+  jo: '女助序徐',
+  jou: '上場乗常情条状城蒸丈剰壌娘浄縄譲貞靖',
+  ju: '受授従樹寿需',
+  juku: '熟塾',
+  jun: '順準純准巡旬盾',
+  jutsu: '術述',
+  juu: '十住重縦充柔渋銃',
+  ka: '下火花何夏家歌科化荷加果課貨仮価可河過暇稼華',
+  kai: '会回海界開階改械快解届灰介壊悔懐戒拐掛皆',
+  kaku: '角各覚格確拡閣革核獲較隔鶴',
+  kan: '間寒感漢館完官管観関刊幹慣巻干看簡乾勘勧喚寛患換歓環甘監緩肝艦貫還鑑陥韓',
+  katsu: '活割括滑',
+  ke: '懸',
+  kei: '兄形計係軽型径景経敬系警傾刑啓契慶掲携継',
+  ken: '犬見県研健建験件券検険憲権絹兼剣圏堅嫌献肩賢軒遣',
+  ketsu: '決血欠結潔穴',
+  ki: '気帰汽記期起喜器季希旗機紀基寄規危揮机貴亀企埼奇岐崎既棄棋煕磯祈軌輝',
+  kichi: '吉',
+  kiku: '菊',
+  kin: '金近均禁勤筋緊錦',
+  kitsu: '喫詰',
+  ko: '古戸庫湖固個故呼己孤誇込雇顧',
+  koku: '国谷黒告刻穀克',
+  kon: '今根混困婚懇',
+  kotsu: '骨',
+  kou: '校交光公工広考行高向幸港候功好康航効厚構耕興講鉱后孝皇紅鋼降宏岡幌恒抗拘控攻更江浩甲硬稿絞綱荒貢購郊項香',
+  ku: '九口区苦句駆駒',
+  kun: '君訓',
+  kutsu: '堀屈掘',
+  kuu: '空',
+  kya: '脚',
+  kyaku: '客却',
+  kyo: '去挙居許巨拒拠据虚距',
+  kyoku: '局曲極旭',
+  kyou: '京強教橋共協競鏡境供胸郷叫恐況狂狭脅響驚',
+  kyuu: '休弓急球究級救求泣給久旧吸丘及扱',
+  ma: '摩麻',
+  mai: '妹毎枚埋',
+  maku: '幕',
+  man: '万満慢漫',
+  matsu: '末',
+  mei: '名明鳴命迷盟銘',
+  men: '面綿免',
+  metsu: '滅',
+  mi: '味未魅',
+  min: '民眠',
+  mitsu: '密',
+  mo: '模茂',
+  moku: '目黙',
+  mon: '門問',
+  mou: '毛猛網',
+  mu: '無務夢',
+  myaku: '脈',
+  myou: '妙',
+  na: '南奈',
+  nai: '内',
+  nan: '難軟',
+  nen: '年念燃粘',
+  netsu: '熱',
+  ni: '二',
+  nichi: '日',
+  niku: '肉',
+  nin: '任認妊',
+  nou: '農能納脳悩濃',
+  nyuu: '入乳',
+  o: '汚',
+  oku: '屋億憶',
+  on: '音温恩',
+  ou: '王黄央横往応桜奥押欧',
+  rai: '来瀬雷頼',
+  raku: '落絡',
+  ran: '乱卵覧',
+  re: '列',
+  rei: '礼令例冷励戻零霊齢',
+  reki: '歴',
+  ren: '練連恋',
+  retsu: '烈裂',
+  ri: '理里利裏李梨離',
+  riku: '陸',
+  rin: '林輪臨倫鈴隣',
+  ritsu: '立率律',
+  ro: '路炉盧露',
+  roku: '六録鹿',
+  ron: '論',
+  rou: '労老朗漏郎',
+  rui: '類塁涙',
+  ryaku: '略',
+  ryo: '旅慮',
+  ryoku: '力緑',
+  ryou: '両料良量領了僚療糧菱',
+  ryuu: '流留柳竜笠隆',
+  sa: '左作差再査砂佐唆鎖',
+  sai: '才細祭最菜妻採災際済裁催債彩斎栽歳載',
+  saku: '昨策削索',
+  san: '三山算参散産賛酸蚕惨杉',
+  satsu: '刷察札殺冊撮擦',
+  se: '世',
+  sei: '正生青声星晴西整成清静制勢性政精製盛聖誠井斉牲請',
+  seki: '夕石赤昔席積績責析潟籍跡',
+  sen: '先千川線船戦浅選銭宣専染泉洗仙占潜繊薦鮮',
+  setsu: '切雪折節説接設',
+  sha: '車社写者舎謝射捨',
+  shaku: '借尺釈',
+  shi: '四子糸姉市思止矢紙仕使始指歯死詩史司士氏試師志支枝資飼姿私至視詞誌之刺孜施旨祉芝茨諮',
+  shichi: '七',
+  shiki: '式識',
+  shin: '森心新親深申真神身進信針伸侵寝審慎振津浸診震',
+  shitsu: '室失質執',
+  sho: '書所暑初処署諸緒',
+  shoku: '色食植織職殖触飾',
+  shou: '小少勝商昭消章唱松焼照省笑象賞承招証傷将障償奨床彰昇昌沼渉焦症祥称紹衝訟詳',
+  shu: '手首主取守酒種修株衆殊趣',
+  shuku: '宿祝縮',
+  shun: '春俊瞬',
+  shutsu: '出',
+  shuu: '秋週州拾終習集周収宗就秀襲',
+  so: '組想祖素措曽狙礎訴阻',
+  soku: '足息速側束則測促即',
+  son: '村孫損尊',
+  sotsu: '卒',
+  sou: '早草走相箱送争倉巣総創奏層操窓装双喪捜掃滝繰荘葬騒',
+  su: '数須',
+  sui: '水垂推吹衰遂',
+  sun: '寸',
+  ta: '多太他',
+  tai: '体対待帯隊態貸退替泰滞耐袋逮',
+  taku: '宅卓択沢託',
+  tan: '炭短単担探誕丹淡端胆',
+  tatsu: '達',
+  tei: '弟定庭低停底提程帝廷抵締艇邸',
+  teki: '笛的敵適摘',
+  ten: '天店点転典展',
+  tetsu: '鉄哲徹撤',
+  to: '頭登都徒塗渡途',
+  tochi: '栃',
+  toku: '得特徳督',
+  totsu: '突',
+  tou: '冬刀当東答島投湯等豆灯統党糖討倒凍到搭棟盗稲藤踏逃透闘騰',
+  tsu: '通',
+  tsui: '追墜',
+  tsuu: '痛',
+  u: '右雨羽有優宇',
+  un: '雲運',
+  wa: '話和',
+  wai: '賄',
+  waku: '惑枠',
+  wan: '湾腕',
+  ya: '夜野',
+  yaku: '役薬約訳躍',
+  yo: '予余預与誉',
+  yoku: '浴欲翌抑翼',
+  you: '曜用様洋羊葉陽要養容幼揚揺擁溶腰踊',
+  yu: '油由遊輸諭',
+  yuu: '友勇郵熊融裕誘雄',
+  za: '座',
+  zai: '材在罪財剤',
+  zan: '残暫',
+  zatsu: '雑',
+  ze: '是',
+  zei: '税',
+  zen: '前全然善',
+  zetsu: '絶舌',
+  zoku: '族続属',
+  zon: '存',
+  zou: '像増造臓蔵贈',
+  zu: '図',
+  zui: '随',
+};
+
+/**
+ * The kanji forms only used in Japanese, such as 戦 for 战 and 戰, so the text is Japanese
+ * @access private
+ * @type {String}
+ */
+const japaneseForms =
+  '円気糸図売帰広楽歩毎絵読顔黒両乗実対悪様歯発県緑薬転軽鉄駅伝児労単囲塩変巣帯戦挙栄欠歴満焼続芸覚観説辺録関験仏仮価効営団圧増弁徳応桜検経総証豊賛鉱銭険雑処厳収専巻庁従拝拡晩権済縦脳臓蔵覧訳郷亀併偽剣剤剰勧圏塁壊壌奨寛廃弾徴恵悩慎懐戻払抜択拠捜掲揺撃斉斎曽歓歳沢浄浜涙渉渋滝瀬為犠稲竜継縁縄繊聴荘覇譲遅釈闘陥隠霊頼駆騒髪黙齢';
+
+/**
+ * Get the reading of each ideograph from the readings grouped by the reading
+ * @access private
+ * @param {Object<String, String>} table - The ideographs of each reading
+ * @returns {Object<String, String>} The reading of each ideograph
+ */
+const byIdeograph = (table) =>
+  Object.fromEntries(
+    Object.keys(table).flatMap((reading) =>
+      Array.from(table[reading], (ideograph) => [ideograph, reading])
+    )
+  );
+
+/**
+ * The readings of each ideograph, for Chinese and Japanese
+ * @access private
+ * @type {{zh: Object<String, String>, ja: Object<String, String>}}
+ */
+const hanReadings = {
+  zh: byIdeograph(hanPinyin),
+  ja: byIdeograph(hanOnyomi),
+};
+
+/**
+ * The letters with a different transliteration for the language
+ * @access private
+ * @type {Object<String, Object<String, String>>}
+ */
+const languageLetters = {
+  de: { ä: 'ae', ö: 'oe', ü: 'ue', ß: 'ss' },
+  da: { æ: 'ae', ø: 'oe', å: 'aa' },
+  nb: { æ: 'ae', ø: 'oe', å: 'aa' },
+  nn: { æ: 'ae', ø: 'oe', å: 'aa' },
+  no: { æ: 'ae', ø: 'oe', å: 'aa' },
+  uk: { г: 'h', и: 'y', й: 'i', є: 'ie', ї: 'i', ю: 'iu', я: 'ia' },
+  bg: { щ: 'sht', ъ: 'a', ь: 'y', ю: 'yu', я: 'ya' },
+};
+
+/**
+ * The letters with a different transliteration for the language at the start of a word
+ * @access private
+ * @type {Object<String, Object<String, String>>}
+ */
+const languageInitials = {
+  uk: { й: 'y', є: 'ye', ї: 'yi', ю: 'yu', я: 'ya' },
+};
+
+/**
+ * Get the transliteration of a letter, with the case of the letter
+ * @access private
+ * @param {String} letter - The letter, or letters for a digraph
+ * @param {Object<String, String>} letters - The transliterations of the lower case letters
+ * @returns {String|Void} The transliteration, undefined if the letter is not in the letters
+ */
+const withCase = (letter, letters) => {
+  const lower = letter.toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(letters, lower)) {
+    return undefined;
+  }
+  const result = letters[lower];
+  if (letter === lower) {
+    return result;
+  }
+  return letter.length > 1 && letter === letter.toUpperCase()
+    ? result.toUpperCase()
+    : `${result.charAt(0).toUpperCase()}${result.slice(1)}`;
+};
+
+/**
+ * Transliterate a run of kana, with the small kana combined with the kana before, the small tsu
+ * doubling the next consonant, and the long vowel mark repeating the vowel
+ * @access private
+ * @param {String} run - The hiragana and katakana
+ * @returns {String} The romaji
+ */
+const romaji = (run) => {
+  const chars = Array.from(run, (char) => {
+    const code = char.codePointAt(0);
+    return code >= 0x30a1 && code <= 0x30f6 ? String.fromCodePoint(code - 0x60) : char;
+  });
+
+  let result = '';
+  let double = false;
+  for (let index = 0; index < chars.length; index += 1) {
+    const char = chars[index];
+    const next = chars[index + 1];
+    let syllable = kana[char];
+
+    if (char === 'っ') {
+      double = true;
+    } else if (char === 'ー') {
+      result += (/[aeiou]$/.exec(result) || [''])[0];
+    } else if (typeof syllable === 'undefined') {
+      result += char;
+    } else {
+      if (['ゃ', 'ゅ', 'ょ'].includes(next) && /.i$/.test(syllable)) {
+        // shi, chi and ji drop the y, such as sha, the others drop the i, such as kya
+        syllable = /^(sh|ch|j)i$/.test(syllable)
+          ? `${syllable.slice(0, -1)}${kana[next].slice(1)}`
+          : `${syllable.slice(0, -1)}${kana[next]}`;
+        index += 1;
+      } else if (['ぁ', 'ぃ', 'ぅ', 'ぇ', 'ぉ'].includes(next)) {
+        // The small vowels replace the vowel, such as fa and ti, or follow w for u, such as wi
+        syllable = `${syllable.length === 1 ? 'w' : syllable.slice(0, -1)}${kana[next]}`;
+        index += 1;
+      }
+      if (double) {
+        syllable = `${syllable.startsWith('ch') ? 't' : syllable[0]}${syllable}`;
+        double = false;
+      }
+      result += syllable;
+    }
+  }
+  return result;
+};
+
+/**
+ * Transliterate a hangul syllable
+ * @access private
+ * @param {String} syllable - The hangul syllable
+ * @returns {String} The romanisation
+ */
+const romaja = (syllable) => {
+  const index = syllable.codePointAt(0) - 0xac00;
+  return `${hangul.initials[Math.floor(index / 588)]}${
+    hangul.vowels[Math.floor((index % 588) / 28)]
+  }${hangul.finals[index % 28]}`;
+};
+
+/**
+ * Transliterate a run of Han ideographs, in pinyin syllables for Chinese or in one romaji word for
+ * Japanese, as a separate word from the letters around it. The ideographs not in the readings are
+ * not changed.
+ * @access private
+ * @param {String} run - The ideographs
+ * @param {Number} offset - The offset of the run in the text
+ * @param {String} text - The text
+ * @param {Boolean} japanese - True for the Japanese readings
+ * @returns {String} The transliteration
+ */
+const hanReading = (run, offset, text, japanese) => {
+  const readings = japanese ? hanReadings.ja : hanReadings.zh;
+  const result = Array.from(run, (ideograph) => readings[ideograph] || ideograph).join(
+    japanese ? '' : ' '
+  );
+  const before = offset > 0 && /[\p{L}\p{N}]/u.test(text[offset - 1]) ? ' ' : '';
+  const after = /[\p{L}\p{N}]/u.test(text.charAt(offset + run.length)) ? ' ' : '';
+  return `${before}${result}${after}`;
+};
+
+/**
+ * Transliterate the Cyrillic, Greek, kana, hangul and common Han ideographs to Latin letters. The
+ * ideographs are read as Japanese for ja, or when the text has kana or a kanji form only used in
+ * Japanese, and as Chinese otherwise. The other characters are not changed, so the result can be
+ * folded to ASCII.
+ * @access private
+ * @param {String} value - The text
+ * @param {String} [language] - The ISO 639-1 language, for the language conventions such as ü to ue for de
+ * @returns {String} The transliterated text
+ */
+const transliterate = (value, language) => {
+  const overrides = languageLetters[language] || {};
+  const cyrillicLetters = { ...cyrillic, ...overrides };
+  const cyrillicInitials = { ...cyrillicLetters, ...languageInitials[language] };
+  const normalized = value.normalize('NFC');
+  const japanese =
+    language === 'ja' ||
+    (language !== 'zh' &&
+      (/[\u3041-\u3096\u30a1-\u30fa]/.test(normalized) ||
+        Array.from(normalized).some((char) => japaneseForms.includes(char))));
+
+  return normalized
+    .replace(/\p{Script=Han}+/gu, (run, offset, text) => hanReading(run, offset, text, japanese))
+    .replace(/[\u00c0-\u00ff]/g, (letter) => withCase(letter, overrides) || letter)
+    .replace(/[\u0400-\u04ff]/g, (letter, offset, text) => {
+      const initial = offset === 0 || !/\p{L}/u.test(text[offset - 1]);
+      const result = withCase(letter, initial ? cyrillicInitials : cyrillicLetters);
+      return typeof result === 'undefined' ? letter : result;
+    })
+    .replace(/[\u0370-\u03ff\u1f00-\u1fff]+/g, (run) =>
+      run
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[οαεη]υ|./gi, (letter) => withCase(letter, greek) || letter)
+    )
+    .replace(/[\u3041-\u3096\u30a1-\u30fa\u30fc]+/g, romaji)
+    .replace(/[\uac00-\ud7a3]/g, romaja);
+};
+
+module.exports = {
+  transliterate,
+};
@@ -0,0 +1,338 @@
+/**
+ * Static validation of JSONata expressions against the registered functions
+ * @module jsonata-validate
+ * @exports parseSignature
+ * @exports validate
+ */
+const jsonataOriginal = require('jsonata');
+const jsonataAst = require('./jsonata-ast');
+const { isNativeFunction } = require('./jsonata-plugins');
+const { formatMessage } = require('./jsonata-errors');
+
+/**
+ * The signature type characters accepted by each type character of a literal argument
+ * @access private
+ * @type {Object<String, String>}
+ */
+const acceptedBy = {
+  s: 'sujx',
+  n: 'nujx',
+  b: 'bujx',
+  l: 'lujx',
+  o: 'ojx',
+  a: 'ajx',
+  f: 'fx',
+};
+
+/**
+ * The names of the option types, mapped to the type character of a literal value
+ * @access private
+ * @type {Object<String, String>}
+ */
+const optionTypes = {
+  string: 's',
+  number: 'n',
+  boolean: 'b',
+  null: 'l',
+  object: 'o',
+  array: 'a',
+  function: 'f',
+};
+
+/**
+ * Parse a JSONata function signature into the parameters
+ * @access private
+ * @param {String} signature - The signature, such as <s?o?:s>
+ * @returns {Array<{types: String, optional: Boolean, variadic: Boolean, context: Boolean}>} The parameters
+ *
+ * @example <caption>Example parsing the truncate signature</caption>
+ * // returns
+ * // result = [
+ * //   { types: 's', optional: true, variadic: false, context: false },
+ * //   { types: 'o', optional: true, variadic: false, context: false }
+ * // ]
+ * const result = parseSignature('<s?o?:s>');
+ */
+const parseSignature = (signature) => {
+  const params = [];
+  const chars = [...signature.replace(/^</, '').replace(/>$/, '')];
+  let index = 0;
+
+  // Skip a subtype such as a<s> or f<n:n>
+  const skipSubtype = () => {
+    if (chars[index + 1] !== '<') {
+      return;
+    }
+    let depth = 0;
+    do {
+      index += 1;
+      if (chars[index] === '<') {
+        depth += 1;
+      } else if (chars[index] === '>') {
+        depth -= 1;
+      }
+    } while (depth > 0 && index < chars.length);
+  };
+
+  while (index < chars.length && chars[index] !== ':') {
+    const ch = chars[index];
+    const last = params[params.length - 1];
+
+    if (ch === '(') {
+      let types = '';
+      index += 1;
+      while (index < chars.length && chars[index] !== ')') {
+        types += chars[index];
+        skipSubtype();
+        index += 1;
+      }
+      params.push({ types, optional: false, variadic: false, context: false });
+    } else if (ch === '?' && last) {
+      last.optional = true;
+    } else if (ch === '+' && last) {
+      last.variadic = true;
+    } else if (ch === '-' && last) {
+      last.context = true;
+    } else {
+      params.push({ types: ch, optional: false, variadic: false, context: false });
+      skipSubtype();
+    }
+    index += 1;
+  }
+
+  return params;
+};
+
+/**
+ * Get the type character of a literal AST node
+ * @access private
+ * @param {Object} node - The AST node
+ * @returns {String|Void} The type character, or undefined if the type is only known on evaluation
+ */
+const literalType = (node) => {
+  switch (node.type) {
+    case 'string':
+      return 's';
+    case 'number':
+      return 'n';
+    case 'value':
+      return node.value === null ? 'l' : 'b';
+    case 'lambda':
+      return 'f';
+    case 'unary':
+      if (node.value === '{') {
+        return 'o';
+      }
+      return node.value === '[' ? 'a' : undefined;
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Get the names of the variables bound within the expression, by assignment, lambda parameters or
+ * focus and index binding
+ * @access private
+ * @param {Object} ast - The AST
+ * @returns {Set<String>} The variable names, without the leading $
+ */
+const boundNames = (ast) => {
+  const names = new Set();
+  jsonataAst.walk(ast, (node) => {
+    if (node.type === 'bind' && node.lhs && node.lhs.type === 'variable') {
+      names.add(node.lhs.value);
+    }
+    if (node.type === 'lambda' && Array.isArray(node.arguments)) {
+      node.arguments.forEach((argument) => names.add(argument.value));
+    }
+    if (typeof node.focus === 'string') {
+      names.add(node.focus);
+    }
+    if (typeof node.index === 'string') {
+      names.add(node.index);
+    }
+  });
+  return names;
+};
+
+/**
+ * Create a diagnostic
+ * @access private
+ * @param {String} severity - error or warning
+ * @param {String} code - The diagnostic code
+ * @param {Object} properties - The properties of the diagnostic, used to populate the message
+ * @returns {{severity: String, code: String, message: String, position: Number, token: String}} The diagnostic
+ */
+const diagnostic = (severity, code, properties) => ({
+  severity,
+  code,
+  message: formatMessage(code, properties),
+  ...properties,
+});
+
+/**
+ * Check the arguments of a function call against the function definition
+ * @access private
+ * @param {Object} call - The function call
+ * @param {Object} definition - The function definition
+ * @returns {Object[]} The diagnostics
+ */
+const checkCall = (call, definition) => {
+  const diagnostics = [];
+  const { name: token, position } = call;
+
+  if (typeof definition.signature !== 'string') {
+    return diagnostics;
+  }
+
+  const params = parseSignature(definition.signature);
+  const variadic = params.findIndex((param) => param.variadic);
+  const min = params.filter((param) => !param.optional && !param.context).length;
+  const max = variadic === -1 ? params.length : Infinity;
+  const count = call.arguments.length;
+
+  // Partial application is checked when the remaining arguments are applied
+  if (!call.partial && count < min) {
+    diagnostics.push(
+      diagnostic('error', 'V1002', { token, position, expected: min, value: count })
+    );
+  }
+
+  if (count > max) {
+    diagnostics.push(
+      diagnostic('error', 'V1003', { token, position, expected: max, value: count })
+    );
+  }
+
+  call.arguments.forEach((argument, index) => {
+    const param = params[variadic !== -1 && index > variadic ? variadic : index];
+    const type = literalType(argument);
+
+    if (!param || typeof type === 'undefined') {
+      return;
+    }
+
+    if (![...param.types].some((ch) => acceptedBy[type].includes(ch))) {
+      diagnostics.push(
+        diagnostic('error', 'V1004', {
+          token,
+          position: argument.position,
+          index: index + 1,
+          expected: param.types,
+        })
+      );
+      return;
+    }
+
+    if (type === 'o' && param.types.includes('o') && definition.options) {
+      // Object constructor pairs are [key, value] nodes
+      argument.lhs.forEach(([keyNode, valueNode]) => {
+        if (keyNode.type !== 'string') {
+          return;
+        }
+        const key = keyNode.value;
+
+        if (!Object.prototype.hasOwnProperty.call(definition.options, key)) {
+          diagnostics.push(
+            diagnostic('warning', 'V1005', { token, position: keyNode.position, key })
+          );
+          return;
+        }
+
+        // The option is the type, or the type and description
+        const option = definition.options[key];
+        const expected = [].concat(
+          typeof option === 'object' && !Array.isArray(option) ? option.type : option
+        );
+        const valueType = literalType(valueNode);
+        if (
+          !expected.includes('any') &&
+          typeof valueType !== 'undefined' &&
+          !expected.some((optionType) => optionTypes[optionType] === valueType)
+        ) {
+          diagnostics.push(
+            diagnostic('error', 'V1006', {
+              token,
+              position: valueNode.position,
+              key,
+              expected: expected.join('|'),
+            })
+          );
+        }
+      });
+    }
+  });
+
+  return diagnostics;
+};
+
+/**
+ * Validate the expression without evaluating it, reporting a syntax error, calls to unknown
+ * functions, and calls to the registered functions with the wrong number or type of arguments or
+ * unknown options
+ * @access private
+ * @param {String} expr - JSONata expression
+ * @param {Object[]} definitions - The function definitions registered with the expression
+ * @param {Object} [options={}] - The options object
+ * @param {String[]|Object} [options.bindings] - The names of the variables, or the bindings object, that will be passed to evaluate
+ *
+ * @example <caption>Example validating an expression with a misspelt function name</caption>
+ * // returns
+ * // result = [{
+ * //   severity: 'error',
+ * //   code: 'V1001',
+ * //   message: 'Unknown function "shortenUUID"',
+ * //   token: 'shortenUUID',
+ * //   position: 12
+ * // }]
+ * const jsonata = require('jsonata-extended');
+ * const result = jsonata.validate('$shortenUUID(id)');
+ *
+ * @returns {Array<{severity: String, code: String, message: String, position: Number, token: String}>} The diagnostics, empty if the expression is valid
+ */
+const validate = (expr, definitions, options) => {
+  const localOptions = { ...options };
+  const diagnostics = [];
+
+  let expression;
+  try {
+    expression = jsonataOriginal(expr);
+  } catch (err) {
+    // The AST is not available for an expression with a syntax error
+    return [
+      {
+        severity: 'error',
+        code: err.code,
+        message: err.message,
+        position: err.position,
+        token: err.token,
+      },
+    ];
+  }
+
+  const ast = expression.ast();
+  const bindings = Array.isArray(localOptions.bindings)
+    ? localOptions.bindings
+    : Object.keys({ ...localOptions.bindings });
+  const locals = boundNames(ast);
+
+  jsonataAst.functionCalls(ast).forEach((call) => {
+    if (locals.has(call.name) || bindings.includes(call.name)) {
+      return;
+    }
+
+    const definition = definitions.find((item) => item.name === call.name);
+    if (definition) {
+      diagnostics.push(...checkCall(call, definition));
+    } else if (!isNativeFunction(call.name)) {
+      diagnostics.push(diagnostic('error', 'V1001', { token: call.name, position: call.position }));
+    }
+  });
+
+  return diagnostics;
+};
+
+module.exports = {
+  parseSignature,
+  validate,
+};
@@ -0,0 +1,100 @@
+const chai = require('chai');
+
+const { describe, it } = require('mocha');
+const jsonata = require('../src/lib/jsonata-extended');
+
+describe('Cache Test Suite', () => {
+  it('Confirm same expression returned for same expression text and options', () => {
+    const cache = jsonata.createCache();
+    const expr = cache.compile('$truncate(a)', { functions: ['truncate'] });
+    chai.expect(cache.compile('$truncate(a)', { functions: ['truncate'] })).to.equal(expr);
+    chai.expect(expr.evaluate({ a: 'b' })).to.equal('b');
+    chai.expect(cache.stats()).to.deep.equal({
+      hits: 1,
+      misses: 1,
+      evictions: 0,
+      size: 1,
+      maxSize: 100,
+    });
+  });
+
+  it('Confirm option key order does not change the key', () => {
+    const cache = jsonata.createCache();
+    const expr = cache.compile('$', { limits: { timeoutMs: 10, maxDepth: 10 } });
+    chai.expect(cache.compile('$', { limits: { maxDepth: 10, timeoutMs: 10 } })).to.equal(expr);
+  });
+
+  it('Confirm different expression returned for different options', () => {
+    const cache = jsonata.createCache();
+    const expr = cache.compile('$');
+    chai.expect(cache.compile('$', { functions: 'none' })).to.not.equal(expr);
+    chai.expect(cache.compile('$', { RegexEngine: class extends RegExp {} })).to.not.equal(expr);
+    chai.expect(cache.stats().misses).to.equal(3);
+  });
+
+  it('Confirm clocks with different Dates have different keys, and the same Date time the same key', () => {
+    const cache = jsonata.createCache();
+    const first = cache.compile('$now()', { clock: new Date('2017-01-01T00:00:00Z') });
+    const second = cache.compile('$now()', { clock: new Date('2020-01-01T00:00:00Z') });
+    chai.expect(first.evaluate()).to.equal('2017-01-01T00:00:00.000Z');
+    chai.expect(second.evaluate()).to.equal('2020-01-01T00:00:00.000Z');
+    chai
+      .expect(cache.compile('$now()', { clock: new Date('2017-01-01T00:00:00Z') }))
+      .to.equal(first);
+    chai.expect(cache.stats()).to.include({ hits: 1, misses: 2 });
+  });
+
+  it('Confirm least recently used expression evicted', () => {
+    const cache = jsonata.createCache({ maxSize: 2 });
+    const first = cache.compile('1');
+    cache.compile('2');
+    cache.compile('1');
+    cache.compile('3');
+    chai.expect(cache.compile('1')).to.equal(first);
+    cache.compile('2');
+    chai.expect(cache.stats()).to.deep.equal({
+      hits: 2,
+      misses: 4,
+      evictions: 2,
+      size: 2,
+      maxSize: 2,
+    });
+  });
+
+  it('Confirm expression recompiled after a plugin is registered', () => {
+    const cache = jsonata.createCache();
+    chai.expect(cache.compile('$exists($cacheTest)').evaluate()).to.equal(false);
+    jsonata.use({ name: 'cacheTest', functions: [{ name: 'cacheTest', implementation: () => 1 }] });
+    try {
+      chai.expect(cache.compile('$exists($cacheTest)').evaluate()).to.equal(true);
+    } finally {
+      jsonata.unuse('cacheTest');
+    }
+  });
+
+  it('Confirm clear empties the cache and resets the statistics', () => {
+    const cache = jsonata.createCache();
+    cache.compile('$');
+    cache.compile('$');
+    cache.clear();
+    chai.expect(cache.stats()).to.deep.equal({
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+      size: 0,
+      maxSize: 100,
+    });
+  });
+
+  it('Confirm compile errors not cached', () => {
+    const cache = jsonata.createCache();
+    chai.expect(() => cache.compile('$$ +')).to.throw();
+    chai.expect(cache.stats().size).to.equal(0);
+  });
+
+  it('Confirm error thrown when maxSize is not a positive integer', () => {
+    chai
+      .expect(() => jsonata.createCache({ maxSize: 0 }))
+      .to.throw(TypeError, 'Invalid maxSize. Expected a positive integer. Received: 0');
+  });
+});
@@ -0,0 +1,148 @@
+const path = require('path');
+const { PassThrough, Writable } = require('stream');
+const chai = require('chai');
+
+const { describe, it } = require('mocha');
+const cli = require('../src/lib/jsonata-cli');
+
+/**
+ * Run the CLI with the arguments and stdin text, capturing the output
+ * @param {String[]} argv - The arguments
+ * @param {String} [stdinText=''] - The text to provide on stdin
+ * @returns {Promise<{code: Number, stdout: String, stderr: String}>} The exit code and output
+ */
+const runCli = async (argv, stdinText = '') => {
+  const stdin = new PassThrough();
+  const stdout = new PassThrough();
+  const stderr = new PassThrough();
+  let out = '';
+  let err = '';
+  stdout.on('data', (chunk) => {
+    out += chunk;
+  });
+  stderr.on('data', (chunk) => {
+    err += chunk;
+  });
+  stdin.end(stdinText);
+  const code = await cli.run(argv, { stdin, stdout, stderr });
+  return { code, stdout: out, stderr: err };
+};
+
+const metadataFile = path.join(__dirname, 'test-suite', 'datasets', 'metadata.json');
+
+describe('CLI Test Suite', () => {
+  it('Confirm success evaluating inline expression against stdin', async () => {
+    const result = await runCli(
+      ['$truncate(title, {"length": 13})'],
+      '{"title": "12345678901234567890"}'
+    );
+    chai.expect(result).to.deep.equal({ code: 0, stdout: '"1234567890..."\n', stderr: '' });
+  });
+
+  it('Confirm success evaluating against input file with compact output', async () => {
+    const result = await runCli(['-c', '-i', metadataFile, 'localeCodes[[0..1]]']);
+    chai.expect(result.code).to.equal(0);
+    chai.expect(result.stdout).to.equal('["en-US","fr-FR"]\n');
+  });
+
+  it('Confirm success with pretty output and bindings', async () => {
+    const result = await runCli(['--bindings', '{"name": "Wilbur"}', '{"name": $name}'], '{}');
+    chai.expect(result.stdout).to.equal('{\n  "name": "Wilbur"\n}\n');
+  });
+
+  it('Confirm success with no input', async () => {
+    const result = await runCli(['-c', '$shortenUuid("1b49aa30-e719-11e6-9835-f723b46a2688")']);
+    chai.expect(result.stdout).to.equal('"1m5otdkthiyq143crwujacdqg"\n');
+  });
+
+  it('Confirm exit code 1 with code and position on evaluation error', async () => {
+    const result = await runCli(['$languageInfo(1)'], '{}');
+    chai.expect(result.code).to.equal(1);
+    chai
+      .expect(result.stderr)
+      .to.equal(
+        'Error T0410 at position 14 near "languageInfo": Argument 1 of function "languageInfo" does not match function signature\n'
+      );
+  });
+
+  it('Confirm exit code 1 on invalid input JSON', async () => {
+    const result = await runCli(['$'], '{');
+    chai.expect(result.code).to.equal(1);
+  });
+
+  it('Confirm exit code 2 on usage error', async () => {
+    const result = await runCli(['--unknown', '$']);
+    chai.expect(result.code).to.equal(2);
+    chai.expect(result.stderr).to.match(/^Unknown option --unknown\n\nUsage:/);
+  });
+
+  it('Confirm success streaming NDJSON records with record errors', async () => {
+    const result = await runCli(
+      ['--stream', 'ndjson', '$truncate(a)'],
+      '{"a":"b"}\n{"a":1}\n{"a":"c"}\n'
+    );
+    chai.expect(result.code).to.equal(1);
+    chai.expect(result.stdout).to.equal('"b"\n"c"\n');
+    chai.expect(result.stderr).to.match(/^Record 1: Error T0410 at position 10/);
+  });
+
+  it('Confirm success streaming JSON array records', async () => {
+    const result = await runCli(['-s', 'array', '{"x": a}'], '[{"a":1},{"a":2}]');
+    chai.expect(result).to.deep.equal({ code: 0, stdout: '{"x":1}\n{"x":2}\n', stderr: '' });
+  });
+
+  it('Confirm streaming waits for stdout to drain', async () => {
+    const stdin = new PassThrough();
+    const stderr = new PassThrough();
+    const lines = [];
+    let buffered = 0;
+    const stdout = new Writable({
+      highWaterMark: 1,
+      write(chunk, encoding, callback) {
+        lines.push(chunk.toString());
+        buffered = Math.max(buffered, this.writableLength);
+        setImmediate(callback);
+      },
+    });
+    stdin.end('[1,2,3,4,5]');
+    const code = await cli.run(['-s', 'array', '$ * 2'], { stdin, stdout, stderr });
+    chai.expect(code).to.equal(0);
+    chai.expect(lines).to.deep.equal(['2\n', '4\n', '6\n', '8\n', '10\n']);
+    // Only the record being written is buffered
+    chai.expect(buffered).to.be.at.most(3);
+  });
+
+  it('Confirm exit code 1 when stdout closes before the records are written', async () => {
+    const stdin = new PassThrough();
+    const stderr = new PassThrough();
+    const stdout = new Writable({
+      write(chunk, encoding, callback) {
+        this.destroy();
+        callback();
+      },
+    });
+    stdin.end('1\n2\n3\n');
+    const code = await cli.run(['-s', 'ndjson', '$'], { stdin, stdout, stderr });
+    chai.expect(code).to.equal(1);
+    chai.expect(stderr.read().toString()).to.match(/^Error/);
+  });
+
+  it('Confirm the arguments after -- are not options', async () => {
+    chai
+      .expect(cli.parseArgs(['-c', '--', '-1']))
+      .to.deep.equal({ pretty: false, help: false, version: false, expression: '-1' });
+    const result = await runCli(['-c', '-b', '{"x": 2}', '--', '-$x'], '{}');
+    chai.expect(result).to.deep.equal({ code: 0, stdout: '-2\n', stderr: '' });
+    chai.expect(() => cli.parseArgs(['--', '-1', '-c'])).to.throw('Expected a single expression');
+  });
+
+  it('Confirm error parsing arguments with invalid bindings', () => {
+    chai.expect(() => cli.parseArgs(['-b', '[1]', '$'])).to.throw('Invalid --bindings JSON');
+  });
+
+  it('Confirm parsing arguments with expression file', () => {
+    chai
+      .expect(cli.parseArgs(['-f', 'mapping.jsonata', '--compact']))
+      .to.deep.equal({ pretty: false, help: false, version: false, file: 'mapping.jsonata' });
+  });
+});
@@ -0,0 +1,86 @@
+const chai = require('chai');
+const fs = require('fs');
+const path = require('path');
+
+const { describe, it } = require('mocha');
+const jsonata = require('../src/lib/jsonata-extended');
+const { errorCodes } = require('../src/lib/jsonata-errors');
+
+describe('Errors Test Suite', () => {
+  it('Confirm function error includes the code, value, function name and position', () => {
+    chai
+      .expect(() => jsonata('$string(1) & $shortenUuid("not-a-uuid")').evaluate())
+      .to.throw()
+      .to.deep.include({
+        code: 'X1001',
+        message: 'Invalid UUID',
+        value: 'not-a-uuid',
+        token: 'shortenUuid',
+        position: 26,
+      });
+  });
+
+  it('Confirm option error includes the option key and expected type', () => {
+    chai
+      .expect(() => jsonata('$truncate("abc", {"length": "1"})').evaluate())
+      .to.throw(TypeError)
+      .to.deep.include({
+        code: 'X1006',
+        key: 'length',
+        value: '1',
+        expected: 'number',
+        type: 'string',
+      });
+  });
+
+  it('Confirm function name is the token when called by reference', () => {
+    chai
+      .expect(() => jsonata('$map(["en", "Hello World"], $languageInfo)').evaluate())
+      .to.throw()
+      .to.deep.include({ code: 'X1004', token: 'languageInfo', value: 'Hello World' });
+  });
+
+  it('Confirm library error given the generic code with the message unchanged', () => {
+    chai
+      .expect(() => jsonata('$mustache({"a": 1}, "{{#a}}")').evaluate())
+      .to.throw('Unclosed section "a" at 6')
+      .to.deep.include({ code: 'X1000', token: 'mustache', value: { a: 1 } });
+  });
+
+  it('Confirm plugin error given the generic code, and an existing code maintained', () => {
+    jsonata.use({
+      name: 'errorsTest',
+      functions: [
+        {
+          name: 'errorsTest',
+          implementation: (value) => {
+            const error = new Error(`Failed ${value}`);
+            if (value === 'coded') {
+              error.code = 'ACME1';
+            }
+            throw error;
+          },
+        },
+      ],
+    });
+    try {
+      chai
+        .expect(() => jsonata('$errorsTest("a")').evaluate())
+        .to.throw('Failed a')
+        .to.deep.include({ code: 'X1000', token: 'errorsTest', position: 12 });
+      chai
+        .expect(() => jsonata('$errorsTest("coded")').evaluate())
+        .to.throw('Failed coded')
+        .to.deep.include({ code: 'ACME1' });
+    } finally {
+      jsonata.unuse('errorsTest');
+    }
+  });
+
+  it('Confirm every function error code is documented in the README', () => {
+    const readme = fs.readFileSync(path.join(__dirname, '..', 'README.md'), 'utf8');
+    Object.keys(errorCodes)
+      .filter((code) => code.startsWith('X'))
+      .forEach((code) => chai.expect(readme).to.include(`\`${code}\``));
+  });
+});
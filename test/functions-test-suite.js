@@ -41,43 +41,6 @@ const resolveDataset = (datasets, testcase) => {
   );
 };
 
-/**
- * Protect the process/browser from a runnaway expression
- * i.e. Infinite loop (tail recursion), or excessive stack growth
- *
- * @param {Object} expr - expression to protect
- * @param {Number} timeout - max time in ms
- * @param {Number} maxDepth - max stack depth
- */
-const timeboxExpression = (expr, timeout, maxDepth) => {
-  let depth = 0;
-  const time = Date.now();
-
-  const checkRunnaway = () => {
-    if (depth > maxDepth) {
-      // stack too deep
-      throw new Error(
-        'Stack overflow error: Check for non-terminating recursive function.  Consider rewriting as tail-recursive.'
-      );
-    }
-    if (Date.now() - time > timeout) {
-      // expression has run for too long
-      throw new Error('Expression evaluation timeout: Check for infinite loop');
-    }
-  };
-
-  // register callbacks
-  expr.assign('__evaluate_entry', () => {
-    depth += 1;
-    checkRunnaway();
-  });
-
-  expr.assign('__evaluate_exit', () => {
-    depth -= 1;
-    checkRunnaway();
-  });
-};
-
 const groups = fs
   .readdirSync(path.join(__dirname, 'test-suite', 'groups'))
   .filter((name) => !name.endsWith('.json'));
@@ -153,13 +116,22 @@ describe('Functions Test Suite', () => {
           let expr;
           // Start by trying to compile the expression associated with this test case
           try {
-            expr = jsonata(testcase.expr);
+            const options = {};
             // If there is a timelimit and depth limit for this case, use the
-            // `timeboxExpression` function to limit evaluation
+            // `limits` option to limit evaluation
             if ('timelimit' in testcase && 'depth' in testcase) {
               this.timeout(testcase.timelimit * 2);
-              timeboxExpression(expr, testcase.timelimit, testcase.depth);
+              options.limits = { timeoutMs: testcase.timelimit, maxDepth: testcase.depth };
+            }
+            // If there is a clock for this case, use the `clock` option to fix the time
+            if ('clock' in testcase) {
+              options.clock = testcase.clock;
+            }
+            // If there are messages for this case, use the `messages` option for $t
+            if ('messages' in testcase) {
+              options.messages = testcase.messages;
             }
+            expr = jsonata(testcase.expr, options);
           } catch (e) {
             // If we get here, an error was thrown.  So check to see if this particular
             // testcase expects an exception (as indicated by the presence of the
@@ -0,0 +1,106 @@
+const chai = require('chai');
+
+const { describe, it } = require('mocha');
+const jsonata = require('../src/lib/jsonata-extended');
+
+describe('Introspection Test Suite', () => {
+  it('Confirm $functions lists the extended functions', () => {
+    const result = jsonata('$functions().name').evaluate();
+    chai.expect(result).to.include.members(['htmltotext', 'truncate', 'functions', 'help']);
+  });
+
+  it('Confirm $functions lists only the functions selected by the functions option', () => {
+    const result = jsonata('$functions().name', {
+      functions: ['truncate', 'functions'],
+    }).evaluate();
+    chai.expect(result).to.deep.equal(['truncate', 'functions']);
+  });
+
+  it('Confirm $help returns the metadata with or without the leading $', () => {
+    const expected = {
+      name: 'unicodeToASCII',
+      signature: '<(sa)?o?:(sa)>',
+      description: 'Convert UNICODE String to ASCII',
+      options: {
+        replacement: {
+          type: 'string',
+          description:
+            'The string to replace unknown UNICODE characters with, unknown characters are maintained if not set',
+        },
+      },
+      examples: [
+        {
+          expression: '$unicodeToASCII("Lörem 🤧 ëripuît", { "replacement": ""})',
+          result: 'Lorem  eripuit',
+        },
+      ],
+    };
+    chai.expect(jsonata('$help("unicodeToASCII")').evaluate()).to.deep.equal(expected);
+    chai.expect(jsonata('$help("$unicodeToASCII")').evaluate()).to.deep.equal(expected);
+  });
+
+  it('Confirm $help returns undefined for an unavailable function', () => {
+    chai
+      .expect(jsonata('$help("moment")', { functions: { exclude: ['moment'] } }).evaluate())
+      .to.equal(undefined);
+    chai.expect(jsonata('$help("unknown")').evaluate()).to.equal(undefined);
+  });
+
+  it('Confirm $help includes plugin functions', () => {
+    jsonata.use({
+      name: 'helpTest',
+      functions: [
+        {
+          name: 'helpTest',
+          implementation: (value) => value,
+          signature: '<s:s>',
+          description: 'Return the value',
+          examples: [{ expression: '$helpTest("a")', result: 'a' }],
+        },
+      ],
+    });
+    try {
+      chai.expect(jsonata('$help("helpTest").description').evaluate()).to.equal('Return the value');
+    } finally {
+      jsonata.unuse('helpTest');
+    }
+  });
+
+  it('Confirm functions returns the metadata without the implementation', () => {
+    const result = jsonata.functions({ functions: ['truncate'] });
+    chai.expect(result).to.have.length(1);
+    chai
+      .expect(result[0])
+      .to.have.all.keys('name', 'signature', 'description', 'options', 'examples');
+    chai.expect(result[0].options.length).to.deep.equal({
+      type: 'number',
+      default: 30,
+      description: 'The maximum string length',
+    });
+  });
+
+  it('Confirm an alias has the same implementation and refers to the function', () => {
+    chai.expect(jsonata('$help("toTimeZone").aliasOf').evaluate()).to.equal('datetime');
+    chai.expect(jsonata('$help("datetime").aliases').evaluate()).to.deep.equal(['toTimeZone']);
+    chai
+      .expect(
+        jsonata(
+          '$toTimeZone("2017-07-02T10:00:00Z", "Asia/Tokyo") = $datetime("2017-07-02T10:00:00Z", "Asia/Tokyo")'
+        ).evaluate()
+      )
+      .to.equal(true);
+  });
+
+  it('Confirm changes to the metadata do not change the definitions', () => {
+    jsonata.functions()[0].signature = '<:s>';
+    chai.expect(jsonata.functions()[0].signature).to.not.equal('<:s>');
+  });
+
+  jsonata.functions().forEach((info) => {
+    info.examples.forEach((example) => {
+      it(`Confirm ${info.name} example: ${example.expression}`, () => {
+        chai.expect(jsonata(example.expression).evaluate()).to.deep.equal(example.result);
+      });
+    });
+  });
+});
@@ -0,0 +1,471 @@
+const chai = require('chai');
+
+const { describe, it } = require('mocha');
+const moment = require('moment');
+const jsonata = require('../src/lib/jsonata-extended');
+
+describe('Options Test Suite', () => {
+  describe('Option: functions', () => {
+    it('Confirm all functions registered by default', () => {
+      const result = jsonata('$exists($moment) and $exists($truncate)').evaluate();
+      chai.expect(result).to.equal(true);
+    });
+
+    it('Confirm no functions registered for none', () => {
+      const expr = jsonata('[$exists($moment), $exists($truncate)]', { functions: 'none' });
+      chai.expect(expr.evaluate()).to.deep.equal([false, false]);
+    });
+
+    it('Confirm only included functions registered for an array', () => {
+      const expr = jsonata('[$exists($moment), $exists($truncate)]', { functions: ['truncate'] });
+      chai.expect(expr.evaluate()).to.deep.equal([false, true]);
+    });
+
+    it('Confirm excluded functions not registered', () => {
+      const expr = jsonata('[$exists($moment), $exists($truncate)]', {
+        functions: { exclude: ['moment'] },
+      });
+      chai.expect(expr.evaluate()).to.deep.equal([false, true]);
+    });
+
+    it('Confirm include and exclude combined', () => {
+      const expr = jsonata('[$exists($moment), $exists($truncate)]', {
+        functions: { include: ['moment', 'truncate'], exclude: ['moment'] },
+      });
+      chai.expect(expr.evaluate()).to.deep.equal([false, true]);
+    });
+
+    it('Confirm error thrown when expression calls an excluded function', () => {
+      chai
+        .expect(() => jsonata('$moment().year()', { functions: { exclude: ['moment'] } }))
+        .to.throw('Function $moment is not available in this expression')
+        .to.deep.contain({ code: 'X1020', token: 'moment', position: 7 });
+    });
+
+    it('Confirm error thrown when include names an unknown function', () => {
+      chai
+        .expect(() => jsonata('$truncate("a")', { functions: ['truncate', 'shortenUUID'] }))
+        .to.throw(TypeError, 'Invalid options.functions.include. Unknown functions: shortenUUID');
+    });
+
+    it('Confirm error thrown when functions is not valid', () => {
+      chai.expect(() => jsonata('$truncate("a")', { functions: 'some' })).to.throw(TypeError);
+    });
+  });
+
+  describe('Option: limits', () => {
+    it('Confirm success when limits not exceeded', () => {
+      const expr = jsonata('$truncate("1234567890", {"length": 5})', {
+        limits: { timeoutMs: 1000, maxDepth: 50, maxResultBytes: 100 },
+      });
+      chai.expect(expr.evaluate()).to.equal('12...');
+    });
+
+    it('Confirm error thrown when timeout exceeded', () => {
+      const expr = jsonata('( $f := function() { $f() }; $f() )', { limits: { timeoutMs: 100 } });
+      chai
+        .expect(() => expr.evaluate())
+        .to.throw('Expression evaluation timeout: Check for infinite loop. Timeout: 100ms')
+        .to.deep.contain({ code: 'U1002', value: 100 });
+    });
+
+    it('Confirm error thrown when max depth exceeded', () => {
+      const expr = jsonata('( $f := function($n) { $n = 0 ? 0 : 1 + $f($n - 1) }; $f(100) )', {
+        limits: { maxDepth: 50 },
+      });
+      chai
+        .expect(() => expr.evaluate())
+        .to.throw()
+        .to.deep.contain({ code: 'U1001', value: 50 });
+    });
+
+    it('Confirm depth and timeout reset on each evaluation', () => {
+      const expr = jsonata('( $f := function($n) { $n = 0 ? 0 : 1 + $f($n - 1) }; $f(10) )', {
+        limits: { timeoutMs: 1000, maxDepth: 100 },
+      });
+      chai.expect(expr.evaluate()).to.equal(10);
+      chai.expect(expr.evaluate()).to.equal(10);
+    });
+
+    it('Confirm error thrown when max result size exceeded', () => {
+      const expr = jsonata('[1..100]', { limits: { maxResultBytes: 100 } });
+      chai
+        .expect(() => expr.evaluate())
+        .to.throw('Expression result too large. Maximum size: 100 bytes')
+        .to.deep.contain({ code: 'U1003' });
+    });
+
+    it('Confirm error passed to callback when max result size exceeded', (done) => {
+      const expr = jsonata('[1..100]', { limits: { maxResultBytes: 100 } });
+      expr.evaluate({}, {}, (err, result) => {
+        chai.expect(err).to.deep.contain({ code: 'U1003' });
+        chai.expect(result).to.equal(null);
+        done();
+      });
+    });
+
+    it('Confirm error thrown when a limit is not a positive number', () => {
+      chai
+        .expect(() => jsonata('$', { limits: { timeoutMs: '100' } }))
+        .to.throw(TypeError, 'Invalid options.limits.timeoutMs. Expected a positive number');
+    });
+  });
+
+  describe('Option: onInvalid', () => {
+    const uuid = '1b49aa30-e719-11e6-9835-f723b46a2688';
+
+    it('Confirm error thrown by default', () => {
+      chai
+        .expect(() => jsonata('$shortenUuid("invalid")').evaluate())
+        .to.throw('Invalid UUID')
+        .to.deep.contain({ code: 'X1001' });
+    });
+
+    it('Confirm undefined returned for invalid input', () => {
+      const expr = jsonata(
+        '{ "id": $shortenUuid(id), "url": $parseUrl(url), "tag": $languageInfo(tag).rfc5646 }',
+        { onInvalid: 'undefined' }
+      );
+      chai
+        .expect(expr.evaluate({ id: uuid, url: 'invalid', tag: 'Hello World' }))
+        .to.deep.equal({ id: '1m5otdkthiyq143crwujacdqg' });
+      chai.expect(expr.failures).to.equal(undefined);
+    });
+
+    it('Confirm failures collected for each evaluation', () => {
+      const expr = jsonata('{ "ids": $map(ids, $shortenUuid), "url": $parseUrl(url).hostname }', {
+        onInvalid: 'collect',
+      });
+      chai
+        .expect(expr.evaluate({ ids: [uuid, 'invalid'], url: 'Hello World' }))
+        .to.deep.equal({ ids: '1m5otdkthiyq143crwujacdqg' });
+      chai.expect(expr.failures()).to.deep.equal([
+        { function: 'shortenUuid', value: 'invalid', reason: 'Invalid UUID', code: 'X1001' },
+        { function: 'parseUrl', value: 'Hello World', reason: 'Invalid URL', code: 'X1005' },
+      ]);
+
+      chai.expect(expr.evaluate({ ids: [uuid], url: 'http://host.com' })).to.deep.equal({
+        ids: '1m5otdkthiyq143crwujacdqg',
+        url: 'host.com',
+      });
+      chai.expect(expr.failures()).to.deep.equal([]);
+    });
+
+    it('Confirm failures collected for each item of an array, and the results line up with the items', () => {
+      const expr = jsonata('$shortenUuid(ids)', { onInvalid: 'collect' });
+      chai
+        .expect([...expr.evaluate({ ids: ['invalid', uuid, 'invalid2'] })])
+        .to.deep.equal([undefined, '1m5otdkthiyq143crwujacdqg', undefined]);
+      chai
+        .expect(expr.failures().map((failure) => failure.value))
+        .to.deep.equal(['invalid', 'invalid2']);
+    });
+
+    it('Confirm an item of an array that is not a string handled by onInvalid', () => {
+      chai
+        .expect(
+          JSON.stringify(
+            jsonata('$truncate(a, {"length": 5})', { onInvalid: 'undefined' }).evaluate({
+              a: ['abcdefgh', 1, 'abc'],
+            })
+          )
+        )
+        .to.equal('["ab...",null,"abc"]');
+
+      const expr = jsonata('$truncate(a)', { onInvalid: 'collect' });
+      chai.expect([...expr.evaluate({ a: [1, 'abc'] })]).to.deep.equal([undefined, 'abc']);
+      chai.expect(expr.failures()).to.deep.equal([
+        {
+          function: 'truncate',
+          value: 1,
+          reason: 'Argument 1 of function "truncate" must be an array of "strings"',
+          code: 'T0412',
+        },
+      ]);
+
+      chai
+        .expect(() => jsonata('$truncate(a)').evaluate({ a: ['abc', 1] }))
+        .to.throw()
+        .to.deep.contain({ code: 'T0412', token: 'truncate' });
+    });
+
+    it('Confirm signature errors and limits still thrown', () => {
+      chai
+        .expect(() => jsonata('$shortenUuid(1)', { onInvalid: 'undefined' }).evaluate())
+        .to.throw()
+        .to.deep.contain({ code: 'T0410' });
+      chai
+        .expect(() =>
+          jsonata(
+            '( $f := function($n) { $n = 0 ? $shortenUuid("invalid") : 1 + $f($n - 1) }; $f(100) )',
+            { onInvalid: 'collect', limits: { maxDepth: 50 } }
+          ).evaluate()
+        )
+        .to.throw()
+        .to.deep.contain({ code: 'U1001' });
+    });
+
+    it('Confirm error thrown when onInvalid is not valid', () => {
+      chai
+        .expect(() => jsonata('$', { onInvalid: 'ignore' }))
+        .to.throw(
+          TypeError,
+          'Invalid options.onInvalid. Valid values: throw,undefined,collect. Received: ignore'
+        );
+    });
+  });
+
+  describe('Option: defaults', () => {
+    const uuid = '1b49aa30-e719-11e6-9835-f723b46a2688';
+
+    it('Confirm truncate and htmltotext defaults applied, and overridden by the call options', () => {
+      const defaults = { truncate: { length: 10, omission: '~' }, htmltotext: { wordwrap: 20 } };
+      chai
+        .expect(jsonata('$truncate("1234567890123456")', { defaults }).evaluate())
+        .to.equal('123456789~');
+      chai
+        .expect(jsonata('$truncate("1234567890123456", {"length": 5})', { defaults }).evaluate())
+        .to.equal('1234~');
+      chai
+        .expect(
+          jsonata('$htmltotext("<p>How can you be more strategic as a leader?</p>")', {
+            defaults,
+          }).evaluate()
+        )
+        .to.equal('How can you be more\nstrategic as a\nleader?');
+    });
+
+    it('Confirm truncate html default applied, and overridden by the call options', () => {
+      const defaults = { truncate: { length: 10, html: true } };
+      chai
+        .expect(jsonata('$truncate("<p>1234567890123456</p>")', { defaults }).evaluate())
+        .to.equal('<p>1234567...</p>');
+      chai
+        .expect(
+          jsonata('$truncate("<p>1234567890123456</p>", {"html": false})', { defaults }).evaluate()
+        )
+        .to.equal('<p>1234...');
+    });
+
+    it('Confirm uuidBase default applied, and overridden by the base argument', () => {
+      const options = { defaults: { uuidBase: 'base58' } };
+      chai
+        .expect(jsonata('$shortenUuid(id)', options).evaluate({ id: uuid }))
+        .to.equal('4NSMyX1VHYAbjBZyDbjWFR');
+      chai
+        .expect(jsonata('$decodeUuid("4NSMyX1VHYAbjBZyDbjWFR")', options).evaluate())
+        .to.equal(uuid);
+      chai
+        .expect(jsonata('$encodeUuid(id, "base36")', options).evaluate({ id: uuid }))
+        .to.equal('1m5otdkthiyq143crwujacdqg');
+    });
+
+    it('Confirm locale default applied to moment and momentDuration', () => {
+      const options = { defaults: { locale: 'fr-FR' } };
+      chai
+        .expect(jsonata('$moment("2017-07-02T10:00:00Z").format("MMMM")', options).evaluate())
+        .to.equal('juillet');
+      chai
+        .expect(jsonata('$momentDuration("PT1H").humanize()', options).evaluate())
+        .to.equal('une heure');
+      chai
+        .expect(jsonata('$moment("2017-07-02T10:00:00Z").format("MMMM")').evaluate())
+        .to.equal('July');
+    });
+
+    it('Confirm timezone default applied to moment', () => {
+      const options = { defaults: { timezone: 'Europe/London' } };
+      chai
+        .expect(jsonata('$moment("2017-07-02 10:00").format()', options).evaluate())
+        .to.equal('2017-07-02T10:00:00+01:00');
+      chai
+        .expect(jsonata('$moment("2017-01-02 10:00").format()', options).evaluate())
+        .to.equal('2017-01-02T10:00:00Z');
+      chai
+        .expect(jsonata('$moment("2017-07-02T10:00:00Z").format()', options).evaluate())
+        .to.equal('2017-07-02T11:00:00+01:00');
+      chai
+        .expect(jsonata('$moment(1499000400000).format()', options).evaluate())
+        .to.equal('2017-07-02T14:00:00+01:00');
+    });
+
+    it('Confirm moment offsets read from the input or format, and not from a date', () => {
+      const options = { defaults: { timezone: 'America/New_York' } };
+      chai
+        .expect(jsonata('$moment("2017-07-02").format()', options).evaluate())
+        .to.equal('2017-07-02T00:00:00-04:00');
+      chai
+        .expect(jsonata('$moment("2017-07-02 10:00+01:00").format()', options).evaluate())
+        .to.equal('2017-07-02T05:00:00-04:00');
+      chai
+        .expect(
+          jsonata(
+            '$moment("02/07/2017 10:00 +01:00", "DD/MM/YYYY HH:mm Z").format()',
+            options
+          ).evaluate()
+        )
+        .to.equal('2017-07-02T05:00:00-04:00');
+      chai
+        .expect(jsonata('$moment("02/07/2017 [Z]", "DD/MM/YYYY [Z]").format()', options).evaluate())
+        .to.equal('2017-07-02T00:00:00-04:00');
+    });
+
+    it('Confirm timezone and locale defaults applied to the date/time functions', () => {
+      const options = { defaults: { timezone: 'Europe/Paris', locale: 'fr-FR' } };
+      chai
+        .expect(jsonata('$datetimeAdd("2017-07-02 10:00", 1, "month")', options).evaluate())
+        .to.equal('2017-08-02T10:00:00.000+02:00');
+      chai
+        .expect(
+          jsonata(
+            '$datetimeFormat("2017-07-02T23:00:00Z", { "month": "long" })',
+            options
+          ).evaluate()
+        )
+        .to.equal('juillet');
+      chai
+        .expect(jsonata('$formatDateLocale("2017-07-02T23:00:00Z")', options).evaluate())
+        .to.equal('03/07/2017');
+      chai
+        .expect(jsonata('$toTimeZone("2017-07-02T10:00:00Z", "UTC")', options).evaluate())
+        .to.equal('2017-07-02T10:00:00.000Z');
+    });
+
+    it('Confirm locale default applied to the number functions', () => {
+      const options = { defaults: { locale: 'de-DE' } };
+      chai.expect(jsonata('$formatNumberLocale(1234.5)', options).evaluate()).to.equal('1.234,5');
+      chai.expect(jsonata('$parseNumberLocale("1.234,5")', options).evaluate()).to.equal(1234.5);
+      chai
+        .expect(jsonata('$formatCurrency(1234.5, "USD", "en-US")', options).evaluate())
+        .to.equal('$1,234.50');
+    });
+
+    it('Confirm locale and timezone defaults applied to $formatMessage', () => {
+      const options = { defaults: { timezone: 'America/New_York', locale: 'fr-FR' } };
+      chai
+        .expect(
+          jsonata(
+            '$formatMessage("{n, plural, one {# cours terminé} other {# cours terminés}} le {d, date, long}", { "n": 0, "d": "2017-07-02T02:00:00Z" })',
+            options
+          ).evaluate()
+        )
+        .to.equal('0 cours terminé le 1 juillet 2017');
+    });
+
+    it('Confirm locale default applied to $slugify, and overridden by the locale option', () => {
+      const options = { defaults: { locale: 'de-DE' } };
+      chai.expect(jsonata('$slugify("Führung")', options).evaluate()).to.equal('fuehrung');
+      chai
+        .expect(jsonata('$slugify("Führung", { "locale": "en-US" })', options).evaluate())
+        .to.equal('fuhrung');
+    });
+
+    it('Confirm error thrown when defaults are not valid', () => {
+      chai
+        .expect(() => jsonata('$', { defaults: { uuidBase: 'base37' } }))
+        .to.throw(TypeError, 'Invalid options.defaults.uuidBase. Received: base37');
+      chai
+        .expect(() => jsonata('$', { defaults: { timezone: 'Europe/Nowhere' } }))
+        .to.throw(TypeError, 'Invalid options.defaults.timezone. Received: Europe/Nowhere');
+      chai
+        .expect(() => jsonata('$', { defaults: { locale: 'Hello World' } }))
+        .to.throw(TypeError, 'Invalid options.defaults.locale. Received: Hello World');
+      chai
+        .expect(() => jsonata('$', { defaults: { lenght: 20 } }))
+        .to.throw(TypeError, 'Invalid options.defaults. Valid keys:');
+    });
+  });
+
+  describe('Option: clock', () => {
+    it('Confirm clock function read once for each evaluation', () => {
+      let time = Date.parse('2017-02-02T15:49:06Z');
+      const clock = () => {
+        time += 1000;
+        return time;
+      };
+      const expr = jsonata('[$millis(), $moment().valueOf(), $millis()]', { clock });
+      chai.expect(expr.evaluate()).to.deep.equal([1486050547000, 1486050547000, 1486050547000]);
+      chai.expect(expr.evaluate()).to.deep.equal([1486050548000, 1486050548000, 1486050548000]);
+    });
+
+    it('Confirm clock accepts a Date and applies with the timezone default', () => {
+      const expr = jsonata('$moment().format()', {
+        clock: new Date('2017-07-02T10:00:00Z'),
+        defaults: { timezone: 'Europe/London' },
+      });
+      chai.expect(expr.evaluate()).to.equal('2017-07-02T11:00:00+01:00');
+    });
+
+    it('Confirm system clock restored after evaluation', () => {
+      jsonata('$moment()', { clock: 0 }).evaluate();
+      chai.expect(moment().year()).to.be.above(2020);
+      chai.expect(jsonata('$moment().year()').evaluate()).to.be.above(2020);
+    });
+
+    it('Confirm error thrown when clock is not valid', () => {
+      chai
+        .expect(() => jsonata('$now()', { clock: 'yesterday' }))
+        .to.throw(TypeError, 'Invalid options.clock. Expected a timestamp, date string, Date');
+      chai
+        .expect(() => jsonata('$now()', { clock: () => 'yesterday' }).evaluate())
+        .to.throw(TypeError, 'Invalid options.clock. Expected a timestamp, date string, Date');
+    });
+  });
+
+  describe('Option: messages', () => {
+    const messages = {
+      'en-US': { course: { count: '{count, plural, one {# course} other {# courses}}' } },
+      fr: { course: { count: '{count, plural, one {# cours} other {# cours}}' } },
+    };
+
+    it('Confirm locale default used for $t and as the last fallback', () => {
+      const expr = jsonata(
+        '[$t("course.count", { "count": 1 }), $t("course.count", "es-MX", { "count": 2 })]',
+        {
+          messages,
+          defaults: { locale: 'en-US' },
+        }
+      );
+      chai.expect(expr.evaluate()).to.deep.equal(['1 course', '2 courses']);
+    });
+
+    it('Confirm loader called once for each locale', () => {
+      const loaded = [];
+      const loader = (locale) => {
+        loaded.push(locale);
+        return messages[locale];
+      };
+      const expr = jsonata('$t("course.count", "fr-CA", { "count": 2 })', { messages: loader });
+      chai.expect(expr.evaluate()).to.equal('2 cours');
+      chai.expect(expr.evaluate()).to.equal('2 cours');
+      chai.expect(loaded).to.deep.equal(['fr-CA', 'fr']);
+    });
+
+    it('Confirm missing keys reported for each evaluation', () => {
+      const expr = jsonata('$t(key, "fr-CA", { "count": 1 })', {
+        messages,
+        defaults: { locale: 'en-US' },
+      });
+      chai.expect(expr.evaluate({ key: 'course.title' })).to.equal('course.title');
+      chai
+        .expect(expr.missingMessages())
+        .to.deep.equal([
+          { key: 'course.title', locale: 'fr-CA', locales: ['fr-CA', 'fr', 'en-US', 'en'] },
+        ]);
+      expr.evaluate({ key: 'course.count' });
+      chai.expect(expr.missingMessages()).to.deep.equal([]);
+    });
+
+    it('Confirm error thrown when messages is not valid', () => {
+      chai
+        .expect(() => jsonata('$t("a")', { messages: 'en-US' }))
+        .to.throw(TypeError, 'Invalid options.messages. Expected an object or a function');
+      chai
+        .expect(() => jsonata('$t("a")', { messages: { 'Hello World': {} } }))
+        .to.throw(TypeError, 'Invalid options.messages. Invalid locale: Hello World');
+      chai
+        .expect(() => jsonata('$t("a")', { messages: { en: 'a' } }))
+        .to.throw(TypeError, 'Invalid options.messages.en. Expected an object');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const chai = require('chai');
+
+const { describe, it, afterEach } = require('mocha');
+const jsonata = require('../src/lib/jsonata-extended');
+
+const shoutPlugin = {
+  name: 'shout',
+  functions: [
+    {
+      name: 'shout',
+      implementation: (value) => value.toUpperCase(),
+      signature: '<s:s>',
+      description: 'Uppercase the string',
+    },
+  ],
+};
+
+describe('Plugins Test Suite', () => {
+  afterEach(() => {
+    jsonata.plugins().forEach((plugin) => jsonata.unuse(plugin.name));
+  });
+
+  it('Confirm plugin function available in expressions created after use', () => {
+    jsonata.use(shoutPlugin);
+    const result = jsonata('$shout("hello")').evaluate();
+    chai.expect(result).to.equal('HELLO');
+  });
+
+  it('Confirm plugin function available with namespace', () => {
+    jsonata.use(shoutPlugin, { namespace: 'acme' });
+    chai.expect(jsonata('$acme_shout("hello")').evaluate()).to.equal('HELLO');
+    chai.expect(jsonata('$exists($shout)').evaluate()).to.equal(false);
+  });
+
+  it('Confirm plugin function not available after unuse', () => {
+    jsonata.use(shoutPlugin);
+    chai.expect(jsonata.unuse('shout')).to.equal(true);
+    chai.expect(jsonata('$exists($shout)').evaluate()).to.equal(false);
+    chai.expect(jsonata.unuse('shout')).to.equal(false);
+  });
+
+  it('Confirm plugins lists registered plugins', () => {
+    jsonata.use(shoutPlugin, { namespace: 'acme' });
+    chai
+      .expect(jsonata.plugins())
+      .to.deep.equal([{ name: 'shout', namespace: 'acme', functions: ['acme_shout'] }]);
+  });
+
+  it('Confirm error thrown when plugin registered twice', () => {
+    jsonata.use(shoutPlugin);
+    chai.expect(() => jsonata.use(shoutPlugin)).to.throw('Plugin shout is already registered');
+  });
+
+  it('Confirm error thrown when plugin function collides with a built-in function', () => {
+    chai
+      .expect(() =>
+        jsonata.use({ name: 'other', functions: [{ name: 'truncate', implementation: () => '' }] })
+      )
+      .to.throw('Plugin other function $truncate collides with a function from jsonata-extended');
+  });
+
+  it('Confirm error thrown when plugin function collides with another plugin function', () => {
+    jsonata.use(shoutPlugin);
+    chai
+      .expect(() =>
+        jsonata.use({ name: 'other', functions: [{ name: 'shout', implementation: () => '' }] })
+      )
+      .to.throw('Plugin other function $shout collides with a function from shout');
+  });
+
+  it('Confirm error thrown when plugin function collides with a JSONata function', () => {
+    chai
+      .expect(() =>
+        jsonata.use({ name: 'other', functions: [{ name: 'string', implementation: () => '' }] })
+      )
+      .to.throw('Plugin other function $string collides with a JSONata function');
+  });
+
+  it('Confirm no functions registered when plugin has a duplicate function', () => {
+    chai
+      .expect(() =>
+        jsonata.use({
+          name: 'other',
+          functions: [
+            { name: 'valid', implementation: () => '' },
+            { name: 'valid', implementation: () => '' },
+          ],
+        })
+      )
+      .to.throw();
+    chai.expect(jsonata.plugins()).to.deep.equal([]);
+  });
+
+  it('Confirm error thrown when plugin is not an object', () => {
+    chai.expect(() => jsonata.use('')).to.throw(TypeError, 'Invalid plugin');
+  });
+});
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const chai = require('chai');
+const { Writable } = require('stream');
+
+const { describe, it } = require('mocha');
+const jsonata = require('../src/lib/jsonata-extended');
+
+/**
+ * Write the chunks to the stream and collect the objects read
+ * @param {Transform} stream - The transform stream
+ * @param {Array<String|Buffer>} chunks - The chunks to write
+ * @returns {Promise<Object[]>} The objects read from the stream
+ */
+const collect = (stream, chunks) =>
+  new Promise((resolve, reject) => {
+    const outputs = [];
+    stream.on('data', (output) => outputs.push(output));
+    stream.on('end', () => resolve(outputs));
+    stream.on('error', reject);
+    chunks.forEach((chunk) => stream.write(chunk));
+    stream.end();
+  });
+
+const metadata = JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'test-suite', 'datasets', 'metadata.json')).toString()
+);
+
+describe('Stream Test Suite', () => {
+  it('Confirm success transforming NDJSON records', async () => {
+    const text = `${JSON.stringify(metadata)}\n\n${JSON.stringify(metadata)}\n`;
+    const outputs = await collect(jsonata.transformStream('$shortenUuid(id)'), [text]);
+    chai.expect(outputs).to.deep.equal([
+      { index: 0, result: '1m5otdkthiyq143crwujacdqg' },
+      { index: 1, result: '1m5otdkthiyq143crwujacdqg' },
+    ]);
+  });
+
+  it('Confirm all the records are transformed for a slow reader', async () => {
+    let evaluated = 0;
+    const stream = jsonata.transformStream('($count(); $)', {
+      bindings: {
+        count: () => {
+          evaluated += 1;
+        },
+      },
+    });
+    const finished = new Promise((resolve) => {
+      stream.on('finish', resolve);
+    });
+    for (let i = 0; i < 3000; i += 1) {
+      stream.write(`${i}\n`);
+    }
+    stream.end();
+
+    // The chunks are only transformed as the objects are read
+    await new Promise((resolve) => {
+      setImmediate(resolve);
+    });
+    chai.expect(evaluated).to.be.at.most(stream.readableHighWaterMark + 1);
+
+    const outputs = [];
+    await new Promise((resolve, reject) => {
+      stream.on('error', reject);
+      stream
+        .pipe(
+          new Writable({
+            objectMode: true,
+            highWaterMark: 1,
+            write(output, encoding, callback) {
+              outputs.push(output);
+              setImmediate(callback);
+            },
+          })
+        )
+        .on('finish', resolve);
+    });
+    await finished;
+    chai.expect(outputs).to.have.length(3000);
+    chai.expect(outputs[2999]).to.deep.equal({ index: 2999, result: 2999 });
+  });
+
+  it('Confirm success transforming NDJSON records without trailing newline', async () => {
+    const outputs = await collect(jsonata.transformStream('a'), ['{"a":1}\n{"a":2}']);
+    chai.expect(outputs.map((output) => output.result)).to.deep.equal([1, 2]);
+  });
+
+  it('Confirm success transforming JSON array records split across chunks', async () => {
+    const text = JSON.stringify([metadata, { id: 'a,]}"[{' }, metadata], null, 2);
+    const chunks = [];
+    for (let i = 0; i < text.length; i += 7) {
+      chunks.push(text.slice(i, i + 7));
+    }
+    const outputs = await collect(jsonata.transformStream('id', { format: 'array' }), chunks);
+    chai
+      .expect(outputs.map((output) => output.result))
+      .to.deep.equal([metadata.id, 'a,]}"[{', metadata.id]);
+  });
+
+  it('Confirm success with multi-byte characters split across chunks', async () => {
+    const buffer = Buffer.from('[{"title": "Pensée stratégique"}]');
+    const split = buffer.indexOf(Buffer.from('é')) + 1;
+    const outputs = await collect(jsonata.transformStream('title', { format: 'array' }), [
+      buffer.slice(0, split),
+      buffer.slice(split),
+    ]);
+    chai.expect(outputs).to.deep.equal([{ index: 0, result: 'Pensée stratégique' }]);
+  });
+
+  it('Confirm success with bindings and options', async () => {
+    const outputs = await collect(
+      jsonata.transformStream('$truncate(a, {"length": $length})', {
+        bindings: { length: 5 },
+        functions: ['truncate'],
+      }),
+      ['{"a":"1234567890"}\n']
+    );
+    chai.expect(outputs).to.deep.equal([{ index: 0, result: '12...' }]);
+  });
+
+  it('Confirm record errors captured without stopping the batch', async () => {
+    const outputs = await collect(jsonata.transformStream('$shortenUuid(id)'), [
+      '{"id": "invalid"}\n{"id":\n{"id": "1b49aa30-e719-11e6-9835-f723b46a2688"}\n',
+    ]);
+    chai.expect(outputs).to.have.length(3);
+    chai.expect(outputs[0].error.message).to.equal('Invalid UUID');
+    chai.expect(outputs[1].error).to.be.an('Error');
+    chai.expect(outputs[2]).to.deep.equal({ index: 2, result: '1m5otdkthiyq143crwujacdqg' });
+  });
+
+  it('Confirm record failures collected with onInvalid collect', async () => {
+    const outputs = await collect(
+      jsonata.transformStream('$shortenUuid(id)', { onInvalid: 'collect' }),
+      ['{"id": "invalid"}\n{"id": "1b49aa30-e719-11e6-9835-f723b46a2688"}\n']
+    );
+    chai.expect(outputs).to.deep.equal([
+      {
+        index: 0,
+        result: undefined,
+        failures: [
+          { function: 'shortenUuid', value: 'invalid', reason: 'Invalid UUID', code: 'X1001' },
+        ],
+      },
+      { index: 1, result: '1m5otdkthiyq143crwujacdqg', failures: [] },
+    ]);
+  });
+
+  it('Confirm empty JSON array has no records', async () => {
+    const outputs = await collect(jsonata.transformStream('$', { format: 'array' }), [' [ ] ']);
+    chai.expect(outputs).to.deep.equal([]);
+  });
+
+  it('Confirm stream error when input is not a JSON array', async () => {
+    let error = null;
+    try {
+      await collect(jsonata.transformStream('$', { format: 'array' }), ['{"a":1}']);
+    } catch (err) {
+      error = err;
+    }
+    chai.expect(error).to.be.an('Error');
+    chai.expect(error.message).to.equal('Invalid JSON array. Expected [');
+  });
+
+  it('Confirm stream error when JSON array is incomplete', async () => {
+    let error = null;
+    try {
+      await collect(jsonata.transformStream('$', { format: 'array' }), ['[{"a":1}']);
+    } catch (err) {
+      error = err;
+    }
+    chai.expect(error).to.be.an('Error');
+    chai.expect(error.message).to.equal('Invalid JSON array. Unexpected end of input');
+  });
+
+  it('Confirm error thrown when format is not valid', () => {
+    chai
+      .expect(() => jsonata.transformStream('$', { format: 'csv' }))
+      .to.throw(TypeError, 'Invalid format. Valid values: ndjson,array. Received: csv');
+  });
+});
@@ -0,0 +1,41 @@
+const chai = require('chai');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { describe, it } = require('mocha');
+const jsonata = require('../src/lib/jsonata-extended');
+const pkg = require('../package.json');
+
+describe('Types Test Suite', () => {
+  const declarations = fs.readFileSync(path.join(__dirname, '..', pkg.types), 'utf8');
+
+  jsonata.functions().forEach((info) => {
+    it(`Confirm ${info.name} is declared in ExtendedFunctions`, () => {
+      chai.expect(declarations).to.match(new RegExp(`^ {4}${info.name}\\(`, 'm'));
+    });
+  });
+
+  ['transformStream', 'validate', 'functions', 'createCache', 'use', 'unuse', 'plugins'].forEach(
+    (name) => {
+      it(`Confirm ${name} is declared`, () => {
+        chai.expect(typeof jsonata[name]).to.equal('function');
+        chai.expect(declarations).to.match(new RegExp(`^ {2}function ${name}\\(`, 'm'));
+      });
+    }
+  );
+
+  it('Confirm the declarations compile with a usage of the API', function compile() {
+    this.timeout(60000);
+    const fixture = path.join(__dirname, 'types', 'usage.ts');
+    const tsc = require.resolve('typescript/bin/tsc');
+    try {
+      execFileSync(process.execPath, [tsc, '--noEmit', '--strict', '--types', 'node', fixture], {
+        encoding: 'utf8',
+      });
+    } catch (err) {
+      // tsc writes the compiler errors to stdout
+      throw new Error(err.stdout || err.message);
+    }
+  });
+});
@@ -0,0 +1,47 @@
+// Compiled with tsc --noEmit by the types test suite, to check the declarations in src/index.d.ts
+import jsonata = require('../../src');
+
+const options: jsonata.TruncateOptions = { length: 20, omission: '...', html: true };
+const expr: jsonata.Expression = jsonata('$truncate(title, $options)', {
+  functions: ['truncate'],
+  limits: { timeoutMs: 1000, maxDepth: 100 },
+  onInvalid: 'collect',
+  defaults: { truncate: options, uuidBase: 'base58', locale: 'en-US', timezone: 'Europe/London' },
+  clock: () => new Date('2017-01-01T00:00:00Z'),
+  messages: { 'en-US': { course: { count: '{count, plural, one {# course} other {# courses}}' } } },
+});
+const result: any = expr.evaluate({ title: 'Leadership has a dark side' }, { options });
+const failures: jsonata.Failure[] | undefined = expr.failures && expr.failures();
+const missing: jsonata.MissingMessage[] = expr.missingMessages();
+
+const stream = jsonata.transformStream('id', { format: 'array' });
+stream.on('data', (record: jsonata.StreamRecord) => record.index);
+
+const diagnostics: jsonata.Diagnostic[] = jsonata.validate('$truncate(title)', {
+  bindings: ['options'],
+});
+const infos: jsonata.FunctionInfo[] = jsonata.functions({ functions: { exclude: ['moment'] } });
+
+const cache: jsonata.Cache = jsonata.createCache({ maxSize: 10 });
+const stats: jsonata.CacheStats = cache.stats();
+cache.compile('$now()', { clock: 0 }).evaluate({});
+cache.clear();
+
+jsonata
+  .use({
+    name: 'acme',
+    namespace: 'acme',
+    functions: [
+      {
+        name: 'shout',
+        implementation: (value: string) => value.toUpperCase(),
+        signature: '<s:s>',
+        examples: [{ expression: '$acme_shout("hello")', result: 'HELLO' }],
+      },
+    ],
+  })
+  .plugins()
+  .forEach((plugin: jsonata.PluginInfo) => plugin.functions);
+const removed: boolean = jsonata.unuse('acme');
+
+export { result, failures, missing, diagnostics, infos, stats, removed };
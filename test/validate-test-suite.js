@@ -0,0 +1,128 @@
+const chai = require('chai');
+
+const { describe, it } = require('mocha');
+const jsonata = require('../src/lib/jsonata-extended');
+const { parseSignature } = require('../src/lib/jsonata-validate');
+
+describe('Validate Test Suite', () => {
+  it('Confirm no diagnostics for a valid expression', () => {
+    const result = jsonata.validate(
+      '( $f := function($v) { $truncate($v, {"length": 20, "omission": "..."}) }; $map(localizedMetadata.title, $f) & $string($now()) )'
+    );
+    chai.expect(result).to.deep.equal([]);
+  });
+
+  it('Confirm diagnostic for an unknown function', () => {
+    chai.expect(jsonata.validate('$shortenUUID(id)')).to.deep.equal([
+      {
+        severity: 'error',
+        code: 'V1001',
+        message: 'Unknown function "shortenUUID"',
+        token: 'shortenUUID',
+        position: 12,
+      },
+    ]);
+  });
+
+  it('Confirm no diagnostic for a function passed in the bindings', () => {
+    chai.expect(jsonata.validate('$lookup2(id)', { bindings: ['lookup2'] })).to.deep.equal([]);
+    chai
+      .expect(jsonata.validate('$lookup2(id)', { bindings: { lookup2: () => 1 } }))
+      .to.deep.equal([]);
+  });
+
+  it('Confirm diagnostic for a function excluded by the functions option', () => {
+    const result = jsonata.validate('$moment()', { functions: { exclude: ['moment'] } });
+    chai.expect(result.map((item) => item.code)).to.deep.equal(['V1001']);
+  });
+
+  it('Confirm diagnostic for too many arguments', () => {
+    const result = jsonata.validate('$languageInfo("en", "fr", "de")');
+    chai.expect(result).to.have.length(1);
+    chai.expect(result[0]).to.deep.include({
+      code: 'V1003',
+      message: 'Function "languageInfo" expects at most 2 arguments. Received: 3',
+      position: 13,
+    });
+  });
+
+  it('Confirm diagnostic for an argument of the wrong type', () => {
+    const result = jsonata.validate('$truncate({"a": 1})');
+    chai.expect(result).to.have.length(1);
+    chai.expect(result[0]).to.deep.include({
+      code: 'V1004',
+      message: 'Argument 1 of function "truncate" does not match function signature. Expected: sa',
+      index: 1,
+    });
+  });
+
+  it('Confirm diagnostics for unknown options and option values of the wrong type', () => {
+    const result = jsonata.validate('$truncate(title, {"lenght": 20, "omission": 1})');
+    chai.expect(result).to.deep.equal([
+      {
+        severity: 'warning',
+        code: 'V1005',
+        message: 'Unknown option "lenght" for function "truncate"',
+        token: 'truncate',
+        position: 26,
+        key: 'lenght',
+      },
+      {
+        severity: 'error',
+        code: 'V1006',
+        message: 'Option "omission" of function "truncate" expects string',
+        token: 'truncate',
+        position: 45,
+        key: 'omission',
+        expected: 'string',
+      },
+    ]);
+  });
+
+  it('Confirm diagnostics for unknown options of htmltotext and unicodeToASCII', () => {
+    const result = jsonata.validate(
+      '$htmltotext(description, {"wordwrap": null, "wordWrap": 80}) & $unicodeToASCII(title, {"replace": ""})'
+    );
+    chai.expect(result.map((item) => item.key)).to.deep.equal(['wordWrap', 'replace']);
+  });
+
+  it('Confirm diagnostics for plugin functions', () => {
+    jsonata.use({
+      name: 'validateTest',
+      functions: [
+        {
+          name: 'validateTest',
+          implementation: (value) => value,
+          signature: '<n:n>',
+          options: {},
+        },
+      ],
+    });
+    try {
+      const result = jsonata.validate('$validateTest() & $validateTest("a")');
+      chai.expect(result.map((item) => item.code)).to.deep.equal(['V1002', 'V1004']);
+    } finally {
+      jsonata.unuse('validateTest');
+    }
+  });
+
+  it('Confirm diagnostic for a syntax error', () => {
+    chai.expect(jsonata.validate('$truncate(')).to.deep.equal([
+      {
+        severity: 'error',
+        code: 'S0203',
+        message: 'Expected ")" before end of expression',
+        position: 10,
+        token: '(end)',
+      },
+    ]);
+  });
+
+  it('Confirm parsing signatures', () => {
+    chai.expect(parseSignature('<(sna)?a<s>+f<n:n>-:o>')).to.deep.equal([
+      { types: 'sna', optional: true, variadic: false, context: false },
+      { types: 'a', optional: false, variadic: true, context: false },
+      { types: 'f', optional: false, variadic: false, context: true },
+    ]);
+  });
+});